@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const X402Client = require('./client');
+const RouteSelection = require('./utils/route-selection');
+const SpendingPolicy = require('./utils/spending-policy');
+const WalletSigners = require('./utils/signers');
+const { SpendingPolicyError } = SpendingPolicy;
+
+const USAGE = `
+Usage: node cli.js <command> [url] [options]
+
+Commands:
+  inspect <url>       解码并显示 402 的 accepts 与 facilitators
+  pay <url>           支付并请求资源
+  sign <url>          只输出 PAYMENT-SIGNATURE 头的值（可用于 curl）
+  protected           请求 SERVER_URL/api/protected（默认）
+  chat [message]      请求 SERVER_URL/api/chat
+
+Request options:
+  -X, --method <m>    请求方法（默认 GET，带 -d 时默认 POST；protected / chat 不接受）
+  -d, --data <body>   请求体（JSON 或原始字符串；protected / chat 不接受）
+  -H, --header <h>    附加请求头 "Name: value"，可重复
+
+Payment options:
+  --dry-run           构建并输出签名后的支付载荷，不发送
+  --json              以 JSON 输出结果
+  --wait              轮询直到结算完成
+  --prefer-network, --prefer-token, --cheapest, --registry-only, --token-registry
+                      路线选择
+  --repeat <n>, --concurrency <n>
+                      重复请求与并发数
+  --session           服务端提供预付会话时购买并复用会话令牌
+`;
+
+/**
+ * 解析 RPC_URLS，格式: eip155:1337=http://host:8545,eip155:84532=https://sepolia.base.org
+ */
+function parseRpcUrls(value) {
+  const rpcUrls = {};
+  if (!value) {
+    return rpcUrls;
+  }
+
+  value.split(',').forEach(entry => {
+    const index = entry.indexOf('=');
+    if (index > 0) {
+      rpcUrls[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+    }
+  });
+
+  return rpcUrls;
+}
+
+/**
+ * 解析 -H "Name: value"
+ */
+function parseHeaders(values = []) {
+  const headers = {};
+  values.forEach(value => {
+    const index = value.indexOf(':');
+    if (index <= 0) {
+      throw new Error(`Invalid header (expected "Name: value"): ${value}`);
+    }
+    headers[value.slice(0, index).trim()] = value.slice(index + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * 解析 -d：能解析为 JSON 时按 JSON 发送，否则按原始字符串发送
+ */
+function parseBody(value) {
+  if (value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 路线选择策略：--registry-only 过滤，--prefer-network / --prefer-token 优先，--cheapest 打破平局
+ */
+function buildRouteStrategies(flags) {
+  const splitList = (value) => value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+  const routeStrategies = [];
+
+  if (flags['registry-only']) {
+    routeStrategies.push(RouteSelection.registryOnly());
+  }
+  if (flags['prefer-network'] || flags['prefer-token']) {
+    routeStrategies.push(RouteSelection.preferred({
+      networks: splitList(flags['prefer-network']),
+      tokens: splitList(flags['prefer-token'])
+    }));
+  }
+  if (flags.cheapest) {
+    routeStrategies.push(RouteSelection.cheapest());
+  }
+
+  return routeStrategies;
+}
+
+/**
+ * 解析命令对应的请求：完整 URL 拆为 serverUrl + endpoint；chat / protected 使用 SERVER_URL
+ */
+function resolveRequest(command, positionals, flags) {
+  const data = parseBody(flags.data);
+  const headers = parseHeaders(flags.header);
+  const method = (flags.method || (data !== null ? 'POST' : 'GET')).toUpperCase();
+
+  // 快捷命令的方法与请求体是固定的
+  if (command === 'chat' || command === 'protected' || command === undefined) {
+    const conflicting = ['method', 'data'].filter(flag => flags[flag] !== undefined);
+    if (conflicting.length > 0) {
+      throw new Error(`"${command || 'protected'}" does not accept ${conflicting.map(flag => `--${flag}`).join(' / ')}, use "pay <url>" instead`);
+    }
+  }
+
+  if (command === 'chat') {
+    return {
+      serverUrl: process.env.SERVER_URL || 'http://localhost:3000',
+      endpoint: '/api/chat',
+      method: 'POST',
+      data: { message: positionals[1] },
+      headers
+    };
+  }
+  if (command === 'protected' || command === undefined) {
+    return {
+      serverUrl: process.env.SERVER_URL || 'http://localhost:3000',
+      endpoint: '/api/protected',
+      method: 'GET',
+      data: null,
+      headers
+    };
+  }
+
+  if (!positionals[1]) {
+    throw new Error(`Missing <url> for "${command}"`);
+  }
+
+  let url;
+  try {
+    url = new URL(positionals[1]);
+  } catch (error) {
+    throw new Error(`Invalid url: ${positionals[1]}`);
+  }
+
+  return {
+    serverUrl: url.origin,
+    endpoint: `${url.pathname}${url.search}`,
+    method,
+    data,
+    headers
+  };
+}
+
+/**
+ * 发送未支付请求，返回 402 中的支付要求（非 402 时 paymentInfo 为 null）
+ */
+async function fetchRequirements(client, request) {
+  const response = await axios({
+    method: request.method,
+    url: `${client.serverUrl}${request.endpoint}`,
+    headers: { 'Content-Type': 'application/json', ...request.headers },
+    data: request.data !== null ? request.data : undefined,
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+
+  if (response.status !== 402) {
+    return { response, paymentInfo: null };
+  }
+  return { response, paymentInfo: client.parsePaymentRequirement(response) };
+}
+
+/**
+ * inspect：显示支付要求
+ */
+async function inspect(client, request, flags) {
+  const { response, paymentInfo } = await fetchRequirements(client, request);
+
+  if (!paymentInfo) {
+    if (flags.json) {
+      console.log(JSON.stringify({ status: response.status, paymentRequired: false }, null, 2));
+    } else {
+      console.log(`ℹ️  ${request.method} ${client.serverUrl}${request.endpoint} responded ${response.status}, no payment required`);
+    }
+    return;
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify({ status: response.status, ...paymentInfo }, null, 2));
+    return;
+  }
+
+  const { resourceInfo, accepts, facilitators } = paymentInfo;
+  console.log(`\n💰 ${request.method} ${client.serverUrl}${request.endpoint} requires payment\n`);
+  console.log(`   Resource: ${resourceInfo.resource}`);
+  console.log(`   MIME type: ${resourceInfo.mimeType}`);
+
+  console.log(`\n📋 Accepts (${accepts.length}):`);
+  accepts.forEach((route, index) => {
+    const token = RouteSelection.findToken(client.tokenRegistry, route);
+    const decimals = token ? token.decimals : 6;
+    const symbol = token ? token.symbol : (route.meta?.contractType || 'token');
+
+    console.log(`   ${index + 1}. ${route.description || 'Route ' + (index + 1)}`);
+    console.log(`      Scheme: ${route.scheme}`);
+    console.log(`      Network: ${route.network}`);
+    console.log(`      Asset: ${route.asset} (${symbol})`);
+    console.log(`      Amount: ${route.amount} (${parseFloat(route.amount) / Math.pow(10, decimals)} ${symbol})`);
+    console.log(`      Pay to: ${route.payTo}`);
+    console.log(`      Timeout: ${route.timeoutSeconds}s`);
+    Object.entries(route.meta || {}).forEach(([key, value]) => {
+      console.log(`      meta.${key}: ${value}`);
+    });
+  });
+
+  console.log(`\n🤝 Facilitators (${(facilitators || []).length}):`);
+  (facilitators || []).forEach(facilitator => {
+    console.log(`   - ${facilitator.url} (${facilitator.networks.join(', ')})`);
+  });
+  console.log('');
+}
+
+/**
+ * sign / --dry-run：选择路线并签名，不发送支付
+ * sign 输出的支付头可以直接用 curl 发送，保留预算占用；--dry-run 只预览，输出后撤销占用
+ */
+async function sign(client, request, flags, headerOnly) {
+  const { response, paymentInfo } = await fetchRequirements(client, request);
+  if (!paymentInfo) {
+    throw new Error(`Expected a 402 response, got ${response.status}`);
+  }
+
+  const payment = await client.createPayment(paymentInfo, `${client.serverUrl}${request.endpoint}`);
+  const header = client.encodePaymentHeader(payment);
+
+  if (headerOnly) {
+    console.log(header);
+    return;
+  }
+
+  const route = paymentInfo.accepts.find(r =>
+    r.scheme === payment.paymentPayload.scheme &&
+    r.network === payment.paymentPayload.network &&
+    r.asset === payment.paymentPayload.asset
+  );
+  console.log(JSON.stringify({
+    request: { method: request.method, url: `${client.serverUrl}${request.endpoint}` },
+    route: route,
+    payment: payment,
+    headers: { 'PAYMENT-SIGNATURE': header }
+  }, null, 2));
+  client.releasePayment(payment);
+}
+
+/**
+ * pay / chat / protected：支付并请求资源
+ */
+async function pay(client, request, flags) {
+  const repeat = Math.max(1, parseInt(flags.repeat || '1'));
+  const concurrency = Math.max(1, parseInt(flags.concurrency || '1'));
+
+  let result;
+  let summary = null;
+  if (repeat === 1) {
+    result = await client.requestProtectedResource(request.endpoint, request.method, request.data, {
+      headers: request.headers
+    });
+  } else {
+    // --repeat：第二次起使用缓存的支付要求直接支付
+    const results = await client.requestMany(new Array(repeat).fill(request), { concurrency });
+    const failed = results.filter(r => !r.ok);
+    summary = {
+      total: results.length,
+      succeeded: results.length - failed.length,
+      failures: failed.map(r => ({
+        index: results.indexOf(r) + 1,
+        error: r.error.message,
+        code: r.error instanceof SpendingPolicyError ? r.error.code : undefined
+      }))
+    };
+
+    if (!flags.json) {
+      console.log(`\n📊 ${summary.succeeded}/${summary.total} request(s) succeeded (concurrency ${concurrency})`);
+      summary.failures.forEach(f => {
+        console.log(`   ❌ #${f.index}: ${f.error}${f.code ? ` [${f.code}]` : ''}`);
+      });
+    }
+    if (failed.length === results.length) {
+      throw failed[0].error;
+    }
+    result = results.filter(r => r.ok).pop().result;
+  }
+
+  // --wait: 轮询直到结算完成
+  let settlement = null;
+  if (flags.wait && result.paymentId) {
+    settlement = await client.waitForSettlement({ paymentId: result.paymentId });
+    if (!flags.json) {
+      console.log(`\n🧾 Settlement ${settlement.status}`);
+      if (settlement.transaction) {
+        console.log(`   Transaction: ${settlement.transaction}`);
+        console.log(`   Explorer: ${settlement.explorerUrl}`);
+      } else if (settlement.reason) {
+        console.log(`   Reason: ${settlement.reason}`);
+      }
+    }
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify({ ...result, settlement, summary }, null, 2));
+  } else {
+    console.log('\n✨ Test completed successfully!\n');
+  }
+}
+
+// 主程序入口
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        'method': { type: 'string', short: 'X' },
+        'data': { type: 'string', short: 'd' },
+        'header': { type: 'string', short: 'H', multiple: true },
+        'dry-run': { type: 'boolean' },
+        'json': { type: 'boolean' },
+        'wait': { type: 'boolean' },
+        'prefer-network': { type: 'string' },
+        'prefer-token': { type: 'string' },
+        'cheapest': { type: 'boolean' },
+        'registry-only': { type: 'boolean' },
+        'token-registry': { type: 'string' },
+        'repeat': { type: 'string' },
+        'concurrency': { type: 'string' },
+        'session': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { values: flags, positionals } = parsed;
+  const command = positionals[0];
+  if (flags.help || (command && !['inspect', 'pay', 'sign', 'chat', 'protected'].includes(command))) {
+    console.log(USAGE);
+    process.exit(flags.help ? 0 : 1);
+  }
+
+  // inspect / sign / --dry-run / --json 的标准输出只包含结果，客户端日志全部关闭
+  const quiet = command === 'inspect' || command === 'sign' || flags['dry-run'] || flags.json;
+
+  try {
+    const request = resolveRequest(command, positionals, flags);
+
+    // inspect 不需要签名器
+    const signer = command === 'inspect' ? ethers.Wallet.createRandom() : await WalletSigners.fromEnv(process.env);
+    const tokenRegistry = RouteSelection.loadTokenRegistry(flags['token-registry']);
+
+    const client = new X402Client({
+      serverUrl: request.serverUrl,
+      signer: signer,
+      routeStrategies: buildRouteStrategies(flags),
+      tokenRegistry: tokenRegistry,
+      spendingPolicy: SpendingPolicy.fromEnv(process.env, tokenRegistry),
+      rpcUrls: parseRpcUrls(process.env.RPC_URLS),
+      requirementsTtlMs: process.env.REQUIREMENTS_CACHE_TTL_MS ? parseInt(process.env.REQUIREMENTS_CACHE_TTL_MS) : undefined,
+      sessions: flags.session === true,
+      logger: quiet ? X402Client.silentLogger : console
+    });
+
+    if (command === 'inspect') {
+      await inspect(client, request, flags);
+    } else if (command === 'sign') {
+      await sign(client, request, flags, true);
+    } else if (flags['dry-run']) {
+      await sign(client, request, flags, false);
+    } else {
+      await pay(client, request, flags);
+    }
+  } catch (error) {
+    if (flags.json) {
+      console.log(JSON.stringify({
+        error: error.message,
+        code: error instanceof SpendingPolicyError ? error.code : undefined,
+        status: error.response ? error.response.status : undefined,
+        response: error.response ? error.response.data : undefined
+      }, null, 2));
+      process.exit(1);
+    }
+
+    console.error('\n❌ Test failed:', error.message);
+    if (error instanceof SpendingPolicyError) {
+      console.error(`   Refused by spending policy: ${error.code}`);
+    }
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, parseRpcUrls };
@@ -2,6 +2,25 @@ require('dotenv').config();
 const axios = require('axios');
 const { ethers } = require('ethers');
 const SignatureUtils = require('./utils/signature');
+const RouteSelection = require('./utils/route-selection');
+const RequirementsCache = require('./utils/requirements-cache');
+const SessionCache = require('./utils/session-cache');
+
+// 客户端可签名的支付方案（upto 与 permit 签名相同，授权的是最大金额）
+const SUPPORTED_SCHEMES = ['exact', 'permit', 'upto'];
+
+// 连接未建立的错误：请求没有到达服务端，支付不可能被使用
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// 结算结果未知的 402 原因：授权可能已提交上链，不能视为支付被拒绝
+const SETTLEMENT_UNKNOWN_REASONS = ['settlement_timeout'];
+
+// 缓存的支付要求已过时（价格、路线、收款地址等变化）的 402 原因，可以重新握手后再支付
+const STALE_REQUIREMENT_REASONS = [
+  'unsupported_scheme', 'unsupported_network', 'unsupported_asset', 'ambiguous_route',
+  'insufficient_amount', 'payto_mismatch', 'memo_mismatch', 'resource_mismatch',
+  'spender_mismatch', 'permit_type_mismatch'
+];
 
 /**
  * x402 v2 客户端 (多 Token 版本)
@@ -11,76 +30,320 @@ class X402Client {
     this.serverUrl = config.serverUrl;
     this.privateKey = config.privateKey;
 
-    // 创建钱包
-    this.wallet = new ethers.Wallet(this.privateKey);
+    // 日志输出（默认 console）；嵌入现有服务时可传入 X402Client.silentLogger
+    this.logger = config.logger || console;
+
+    // 签名器：keystore / 助记词 / 远程签名器（见 utils/signers.js），或明文私钥
+    if (!config.signer && !this.privateKey) {
+      throw new Error('X402Client requires a signer or privateKey');
+    }
+    this.wallet = config.signer || new ethers.Wallet(this.privateKey);
     this.address = this.wallet.address;
 
-    console.log('🔐 Client initialized (v2)');
-    console.log(`   Address: ${this.address}`);
+    // 路线选择策略（见 utils/route-selection.js），为空时选择服务端列出的第一条
+    this.routeStrategies = config.routeStrategies || [];
+    this.tokenRegistry = config.tokenRegistry || RouteSelection.loadTokenRegistry(config.tokenRegistryPath);
+
+    // 消费策略（见 utils/spending-policy.js），签名前检查金额、预算与白名单
+    this.spendingPolicy = config.spendingPolicy || null;
+    this.spends = new WeakMap();
+
+    // 本地已使用的 nonce；配置了 RPC 时还会通过 authorizationState() 检查链上状态
+    this.usedNonces = new Set();
+    this.rpcUrls = config.rpcUrls || {};
+    this.providers = new Map();
+    // EIP-2612 permit nonce：已签名、可能尚未上链的 permit（nonce -> deadline），按网络与 Token 分组
+    this.permitNonces = new Map();
+
+    // 支付要求缓存（见 utils/requirements-cache.js），传入 false 关闭
+    this.requirementsCache = config.requirementsCache === false
+      ? null
+      : (config.requirementsCache || new RequirementsCache({ ttlMs: config.requirementsTtlMs }));
+
+    // 预付会话（见 utils/session-cache.js）：服务端提供会话时自动购买并复用令牌
+    // 购买会话的金额高于单次价格，需显式开启（sessions: true 或传入 SessionCache）
+    this.sessions = config.sessions
+      ? (config.sessions instanceof SessionCache ? config.sessions : new SessionCache())
+      : null;
+    this.sessionPurchases = new Map();
+
+    this.logger.log('🔐 Client initialized (v2)');
+    this.logger.log(`   Address: ${this.address}`);
   }
 
   /**
    * 请求受保护的资源
+   * 缓存中有该资源的支付要求时直接签名并携带支付，被拒绝（要求已过时）再走完整握手
+   * 开启预付会话且该资源接受会话时，优先使用（必要时购买）会话令牌
+   * @param {Object} [options] - { headers }：附加请求头
    */
-  async requestProtectedResource(endpoint, method = 'GET', data = null) {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🚀 Requesting: ${method} ${endpoint}`);
-    console.log(`${'='.repeat(60)}\n`);
+  async requestProtectedResource(endpoint, method = 'GET', data = null, options = {}) {
+    const extraHeaders = options.headers || {};
+    this.logger.log(`\n${'='.repeat(60)}`);
+    this.logger.log(`🚀 Requesting: ${method} ${endpoint}`);
+    this.logger.log(`${'='.repeat(60)}\n`);
+
+    const url = `${this.serverUrl}${endpoint}`;
+
+    const sessionResult = await this.requestWithSession(endpoint, method, data, extraHeaders);
+    if (sessionResult) {
+      return sessionResult;
+    }
+
+    const cached = this.requirementsCache ? this.requirementsCache.get(method, url) : null;
+
+    if (cached) {
+      this.logger.log('⚡ Using cached payment requirements, paying up front...\n');
+      const payment = await this.createPayment(cached, url);
+
+      try {
+        const paidResponse = await this.makeRequest(endpoint, method, data, payment, extraHeaders);
+        return this.handlePaidResponse(paidResponse, payment);
+      } catch (error) {
+        this.handlePaymentError(error, payment);
+        // 只有要求不匹配时才重新握手；结算超时或失败时再次支付可能重复扣款
+        const reason = error.response && error.response.status === 402 && error.response.data?.reason;
+        if (!STALE_REQUIREMENT_REASONS.includes(reason)) {
+          throw error;
+        }
+        // 服务端拒绝了缓存的要求（价格、路线等已变化），丢弃缓存并重新握手
+        this.logger.log(`♻️  Cached requirements rejected (${reason}), retrying with full handshake\n`);
+        this.requirementsCache.delete(method, url);
+      }
+    }
 
     try {
       // 步骤 1: 发起初始请求（不带支付）
-      console.log('📤 Step 1: Sending initial request without payment...\n');
-      const initialResponse = await this.makeRequest(endpoint, method, data);
+      this.logger.log('📤 Step 1: Sending initial request without payment...\n');
+      const initialResponse = await this.makeRequest(endpoint, method, data, null, extraHeaders);
 
       if (initialResponse.status === 200) {
-        console.log('✅ Success! Resource is free or payment already made.\n');
-        console.log('Response:', JSON.stringify(initialResponse.data, null, 2));
-        return initialResponse.data;
+        this.logger.log('✅ Success! Resource is free or payment already made.\n');
+        this.logger.log('Response:', JSON.stringify(initialResponse.data, null, 2));
+        return { data: initialResponse.data, paymentResponse: null, paymentId: null };
       }
     } catch (error) {
       if (error.response && error.response.status === 402) {
-        console.log('💰 Step 2: Payment Required (402 response received)\n');
+        this.logger.log('💰 Step 2: Payment Required (402 response received)\n');
 
         // 解析支付要求
         const paymentInfo = this.parsePaymentRequirement(error.response);
+        if (this.requirementsCache) {
+          this.requirementsCache.set(method, url, paymentInfo);
+        }
 
-        console.log('✍️  Step 3: Creating payment signature...\n');
+        // 服务端提供预付会话：购买会话并以令牌访问，失败时继续按次支付
+        if (this.sessions && paymentInfo.session) {
+          this.sessions.setOffer(method, url, paymentInfo.session);
+          const sessionResult = await this.requestWithSession(endpoint, method, data, extraHeaders);
+          if (sessionResult) {
+            return sessionResult;
+          }
+        }
+
+        this.logger.log('✍️  Step 3: Creating payment signature...\n');
 
         // 创建支付签名
-        const payment = await this.createPayment(paymentInfo);
+        const payment = await this.createPayment(paymentInfo, url);
 
         // 步骤 4: 使用支付凭证重新请求
-        console.log('📤 Step 4: Sending request with payment proof...\n');
-        const paidResponse = await this.makeRequest(endpoint, method, data, payment);
-
-        if (paidResponse.status === 200) {
-          console.log('✅ Success! Access granted with payment.\n');
-          console.log('Response:', JSON.stringify(paidResponse.data, null, 2));
-          console.log(`\n💸 Payment will be settled on-chain by the facilitator.\n`);
-          return paidResponse.data;
+        this.logger.log('📤 Step 4: Sending request with payment proof...\n');
+        let paidResponse;
+        try {
+          paidResponse = await this.makeRequest(endpoint, method, data, payment, extraHeaders);
+        } catch (paidError) {
+          this.handlePaymentError(paidError, payment);
+          throw paidError;
         }
+
+        return this.handlePaidResponse(paidResponse, payment);
       } else {
-        console.error('❌ Error:', error.message);
+        this.logger.error('❌ Error:', error.message);
         if (error.response) {
-          console.error('Response:', error.response.data);
+          this.logger.error('Response:', error.response.data);
         }
         throw error;
       }
     }
   }
 
+  /**
+   * 以预付会话令牌请求资源；该资源没有会话报价、购买失败或令牌被拒绝时返回 null
+   */
+  async requestWithSession(endpoint, method, data, extraHeaders) {
+    if (!this.sessions) {
+      return null;
+    }
+
+    const offer = this.sessions.getOffer(method, `${this.serverUrl}${endpoint}`);
+    if (!offer) {
+      return null;
+    }
+
+    let session = this.sessions.take(offer.scope);
+    if (!session) {
+      try {
+        await this.buySession(offer);
+      } catch (error) {
+        this.logger.log(`⚠️  Could not buy a ${offer.scope} session (${error.message}), paying per request\n`);
+        this.sessions.decline(offer.scope);
+        return null;
+      }
+      session = this.sessions.take(offer.scope);
+      if (!session) {
+        return null;
+      }
+    }
+
+    this.logger.log(`🎟️  Using prepaid ${offer.scope} session...\n`);
+    let response;
+    try {
+      response = await this.makeRequest(endpoint, method, data, null, {
+        ...extraHeaders,
+        'PAYMENT-SESSION': session.token
+      });
+    } catch (error) {
+      if (!error.response || error.response.status !== 402) {
+        throw error;
+      }
+      // 会话已过期或用尽（例如服务端重启），丢弃令牌后按次支付
+      this.logger.log(`♻️  Session rejected (${error.response.data?.session?.error || 'payment required'}), paying per request\n`);
+      this.sessions.deleteToken(offer.scope, session.token);
+      return null;
+    }
+
+    const remainingHeader = response.headers['payment-session-remaining'];
+    const remaining = remainingHeader !== undefined ? parseInt(remainingHeader) : null;
+    this.sessions.updateRemaining(offer.scope, remaining);
+
+    this.logger.log('✅ Success! Access granted with prepaid session.\n');
+    this.logger.log('Response:', JSON.stringify(response.data, null, 2));
+    if (remaining !== null) {
+      this.logger.log(`\n🎟️  Session calls remaining: ${remaining}\n`);
+    }
+
+    return {
+      data: response.data,
+      paymentResponse: null,
+      paymentId: null,
+      session: {
+        scope: offer.scope,
+        remaining: remaining,
+        expiresAt: new Date(session.expiresAt).toISOString()
+      }
+    };
+  }
+
+  /**
+   * 购买预付会话（同一范围的并发购买只进行一次）
+   */
+  buySession(offer) {
+    if (!this.sessionPurchases.has(offer.scope)) {
+      const purchase = (async () => {
+        this.logger.log(`🎟️  Buying prepaid ${offer.scope} session: ${offer.description}\n`);
+        const result = await this.requestProtectedResource(offer.endpoint, 'POST');
+        this.sessions.setToken(offer.scope, {
+          token: result.data.token,
+          remaining: result.data.calls,
+          expiresAt: Date.parse(result.data.expiresAt)
+        });
+      })();
+
+      this.sessionPurchases.set(offer.scope, purchase);
+      purchase.finally(() => this.sessionPurchases.delete(offer.scope)).catch(() => {});
+    }
+
+    return this.sessionPurchases.get(offer.scope);
+  }
+
+  /**
+   * 并发请求多个受保护资源
+   * nonce 为随机值并在本地登记，消费策略在签名前同步占用预算，并发支付不会互相冲突或超出预算
+   * @param {Array<{endpoint: string, method?: string, data?: Object, headers?: Object}>} requests
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - 同时进行的请求数（默认 4）
+   * @returns {Promise<Array<{request: Object, ok: boolean, result?: Object, error?: Error}>>} 与 requests 顺序一致
+   */
+  async requestMany(requests, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || 4);
+    const results = new Array(requests.length);
+    let next = 0;
+
+    // 每个 worker 依次领取下一个请求，单个失败不影响其余请求
+    const worker = async () => {
+      while (next < requests.length) {
+        const index = next++;
+        const request = requests[index];
+        try {
+          const result = await this.requestProtectedResource(request.endpoint, request.method || 'GET', request.data || null, {
+            headers: request.headers
+          });
+          results[index] = { request, ok: true, result };
+        } catch (error) {
+          results[index] = { request, ok: false, error };
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, requests.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * 输出付费请求的结果并返回 { data, paymentResponse, paymentId, nonce, charged }
+   */
+  handlePaidResponse(paidResponse, payment) {
+    this.logger.log('✅ Success! Access granted with payment.\n');
+    this.logger.log('Response:', JSON.stringify(paidResponse.data, null, 2));
+
+    const metadata = this.getPaymentMetadata(paidResponse, payment);
+    if (metadata.charged !== null) {
+      this.logger.log(`\n🧮 Charged ${metadata.charged} of authorized ${metadata.amount}`);
+      this.recordCharge(payment, metadata.charged);
+    }
+    const paymentResponse = metadata.paymentResponse;
+    if (paymentResponse) {
+      this.logger.log(`\n💸 Payment settled on ${paymentResponse.network}`);
+      this.logger.log(`   Transaction: ${paymentResponse.transaction}`);
+      if (paymentResponse.explorerUrl) {
+        this.logger.log(`   Explorer: ${paymentResponse.explorerUrl}`);
+      }
+      this.logger.log('');
+    } else {
+      this.logger.log(`\n💸 Payment will be settled on-chain by the facilitator.\n`);
+    }
+
+    if (metadata.paymentId) {
+      this.logger.log(`🧾 Payment ID: ${metadata.paymentId}\n`);
+    }
+
+    return {
+      data: paidResponse.data,
+      paymentResponse,
+      paymentId: metadata.paymentId,
+      nonce: metadata.nonce,
+      charged: metadata.charged
+    };
+  }
+
   /**
    * 发起 HTTP 请求
    */
-  async makeRequest(endpoint, method, data, payment = null) {
+  async makeRequest(endpoint, method, data, payment = null, extraHeaders = {}) {
     const url = `${this.serverUrl}${endpoint}`;
     const headers = {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...extraHeaders
     };
 
     // v2: 使用 PAYMENT-SIGNATURE 头
     if (payment) {
-      headers['PAYMENT-SIGNATURE'] = JSON.stringify(payment);
+      headers['PAYMENT-SIGNATURE'] = this.encodePaymentHeader(payment);
     }
 
     const config = {
@@ -90,13 +353,42 @@ class X402Client {
       maxRedirects: 0
     };
 
-    if (data && (method === 'POST' || method === 'PUT')) {
+    if (data && ['POST', 'PUT', 'PATCH'].includes(method)) {
       config.data = data;
     }
 
     return await axios(config);
   }
 
+  /**
+   * 编码 PAYMENT-SIGNATURE 头（base64(JSON)，与 PAYMENT-REQUIRED 一致）
+   */
+  encodePaymentHeader(payment) {
+    return Buffer.from(JSON.stringify(payment)).toString('base64');
+  }
+
+  /**
+   * 付费请求完成后的支付信息（附加到拦截器 / fetch 包装返回的响应上）
+   * @param {Object} response - 带小写 headers 的响应
+   * amount 为授权金额，charged 为计量路由实际收费（PAYMENT-CHARGED，非计量路由为 null）
+   * @returns {{paymentResponse: Object|null, paymentId: string|null, nonce: string, network: string, asset: string, amount: string, charged: string|null}}
+   */
+  getPaymentMetadata(response, payment) {
+    const paymentPayload = payment.paymentPayload;
+    const payload = paymentPayload.payload;
+
+    return {
+      paymentResponse: this.parsePaymentResponse(response),
+      paymentId: response.headers['payment-id'] || null,
+      nonce: this.getPaymentNonce(payment),
+      network: paymentPayload.network,
+      asset: paymentPayload.asset,
+      amount: payload.permit ? payload.permit.value : payload.authorization.value,
+      // 结算仍在重试（pending）时实际收费未知，保留按授权金额的预算占用
+      charged: response.headers['payment-settlement'] === 'pending' ? null : (response.headers['payment-charged'] || null)
+    };
+  }
+
   /**
    * 解析 v2 支付要求
    */
@@ -120,14 +412,74 @@ class X402Client {
       resourceInfo: v2Data.resourceInfo,
       accepts: v2Data.accepts,
       facilitators: v2Data.facilitators,
+      session: v2Data.session || null,
       contractMetadata: body.contractMetadata
     };
   }
 
+  /**
+   * 查询结算状态
+   * @param {Object} query - { paymentId } 或 { payer, nonce }（payer 默认为本钱包地址）
+   * @returns {Promise<Object>} status 为 pending / settled / failed
+   */
+  async getSettlementStatus(query) {
+    const url = query.paymentId
+      ? `${this.serverUrl}/payments/${encodeURIComponent(query.paymentId)}/status`
+      : `${this.serverUrl}/payments/status`;
+    const params = query.paymentId
+      ? undefined
+      : { payer: query.payer || this.address, nonce: query.nonce };
+
+    const response = await axios.get(url, { params });
+    return response.data;
+  }
+
+  /**
+   * 轮询结算状态直到 settled 或 failed
+   * @param {Object} query - 同 getSettlementStatus
+   * @param {Object} [options] - { intervalMs, timeoutMs }
+   */
+  async waitForSettlement(query, options = {}) {
+    const intervalMs = options.intervalMs || 2000;
+    const timeoutMs = options.timeoutMs || 120000;
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const status = await this.getSettlementStatus(query);
+      if (status.status === 'settled' || status.status === 'failed') {
+        return status;
+      }
+
+      if (Date.now() + intervalMs > deadline) {
+        throw new Error(`Payment still ${status.status} after ${timeoutMs}ms`);
+      }
+
+      this.logger.log(`⏳ Settlement ${status.status}, checking again in ${intervalMs}ms...`);
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  /**
+   * 解析 PAYMENT-RESPONSE 头（Base64 编码的结算结果），无该头时返回 null
+   */
+  parsePaymentResponse(response) {
+    const paymentResponseHeader = response.headers['payment-response'];
+
+    if (!paymentResponseHeader) {
+      return null;
+    }
+
+    const decoded = Buffer.from(paymentResponseHeader, 'base64').toString('utf-8');
+    return JSON.parse(decoded);
+  }
+
   /**
    * 创建 v2 支付签名
+   * @param {Object} paymentInfo - parsePaymentRequirement() 的结果
+   * @param {string} [requestUrl] - 实际请求地址（用于消费策略的域名白名单）
+   * @throws {SpendingPolicyError} 没有符合消费策略的路线
    */
-  async createPayment(paymentInfo) {
+  async createPayment(paymentInfo, requestUrl = null) {
     const metadata = paymentInfo.contractMetadata;
 
     if (!metadata) {
@@ -135,28 +487,150 @@ class X402Client {
     }
 
     // 显示可用的支付路线
-    console.log(`📋 Available payment routes (${paymentInfo.accepts.length}):`);
+    this.logger.log(`📋 Available payment routes (${paymentInfo.accepts.length}):`);
     paymentInfo.accepts.forEach((route, index) => {
-      console.log(`   ${index + 1}. ${route.description || 'Route ' + (index + 1)}`);
-      console.log(`      Network: ${route.network}`);
-      console.log(`      Asset: ${route.asset}`);
-      console.log(`      Amount: ${route.amount} (${parseFloat(route.amount) / 1000000} USDC)`);
-      console.log(`      Pay to: ${route.payTo}`);
+      const token = RouteSelection.findToken(this.tokenRegistry, route);
+      const decimals = token ? token.decimals : 6;
+      const symbol = token ? token.symbol : (route.meta?.contractType || 'USDC');
+      this.logger.log(`   ${index + 1}. ${route.description || 'Route ' + (index + 1)}`);
+      this.logger.log(`      Network: ${route.network}`);
+      this.logger.log(`      Asset: ${route.asset}`);
+      this.logger.log(`      Amount: ${route.amount} (${parseFloat(route.amount) / Math.pow(10, decimals)} ${symbol})`);
+      this.logger.log(`      Pay to: ${route.payTo}`);
     });
 
-    // 选择第一个路线（可以扩展为用户选择）
-    const selectedRoute = paymentInfo.accepts[0];
-    console.log(`\n✅ Selected route 1: ${selectedRoute.description}\n`);
+    // 按配置的策略选择路线
+    const policyContext = { resourceInfo: paymentInfo.resourceInfo, requestUrl };
+    const selectedRoute = this.selectRoute(paymentInfo, policyContext);
+    const selectedIndex = paymentInfo.accepts.indexOf(selectedRoute);
+    this.logger.log(`\n✅ Selected route ${selectedIndex + 1}: ${selectedRoute.description}\n`);
+
+    // 签名前占用预算（同步完成，避免并发支付超出预算）
+    const spend = this.spendingPolicy ? this.spendingPolicy.authorize(selectedRoute, policyContext) : null;
 
-    return await this.createPaymentV2(selectedRoute, paymentInfo.resourceInfo);
+    let payment;
+    try {
+      payment = await this.createPaymentV2(selectedRoute, paymentInfo.resourceInfo);
+    } catch (error) {
+      if (spend) {
+        this.spendingPolicy.release(spend);
+      }
+      throw error;
+    }
+
+    if (spend) {
+      this.spends.set(payment, spend);
+    }
+    return payment;
+  }
+
+  /**
+   * upto 支付只结算实际用量：把预算占用调整为实际收费
+   */
+  recordCharge(payment, charged) {
+    const spend = this.spends.get(payment);
+    if (spend) {
+      this.spendingPolicy.adjust(spend, charged);
+    }
+    // 收费为 0 表示授权被丢弃或未能结算，permit 不会上链
+    if (charged === '0') {
+      this.releasePermitNonce(payment);
+    }
+  }
+
+  /**
+   * 付费请求失败：支付被拒绝时撤销预算占用；服务端丢弃或未能结算授权时归还 permit nonce
+   */
+  handlePaymentError(error, payment) {
+    if (this.isPaymentRejected(error)) {
+      this.releasePayment(payment);
+    } else if (error.response && ['dropped', 'failed'].includes(error.response.headers['payment-settlement'])) {
+      this.releasePermitNonce(payment);
+    }
+  }
+
+  /**
+   * 支付确定未被接受：服务端返回 402（结算超时除外），或请求未到达服务端
+   * 5xx、超时与 settlement_timeout 时服务端可能已验证并结算，不能撤销预算占用
+   */
+  isPaymentRejected(error) {
+    if (error.response) {
+      const reason = error.response.data && error.response.data.reason;
+      return error.response.status === 402 && !SETTLEMENT_UNKNOWN_REASONS.includes(reason);
+    }
+    return CONNECT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * 支付未被服务端接受时撤销其预算占用并归还 permit nonce
+   */
+  releasePayment(payment) {
+    const spend = this.spends.get(payment);
+    if (spend) {
+      this.spendingPolicy.release(spend);
+      this.spends.delete(payment);
+    }
+    this.releasePermitNonce(payment);
+  }
+
+  /**
+   * 不会上链的 EIP-2612 permit 不再占用 nonce，下一个 permit 可以复用
+   */
+  releasePermitNonce(payment) {
+    const paymentPayload = payment.paymentPayload;
+    const payload = paymentPayload.payload;
+    if (payload.permitType !== 'eip2612') {
+      return;
+    }
+    const pending = this.permitNonces.get(`${paymentPayload.network}:${paymentPayload.asset.toLowerCase()}`);
+    if (pending) {
+      pending.delete(payload.permit.nonce);
+    }
+  }
+
+  /**
+   * 按路线选择策略挑选支付路线
+   * @throws {Error} 没有满足策略的路线
+   */
+  selectRoute(paymentInfo, policyContext = {}) {
+    const strategyContext = {
+      tokenRegistry: this.tokenRegistry,
+      paymentInfo: paymentInfo
+    };
+    let routes = paymentInfo.accepts.filter(route => SUPPORTED_SCHEMES.includes(route.scheme));
+    if (routes.length === 0) {
+      throw new Error(`No payment route uses a supported scheme (${SUPPORTED_SCHEMES.join(', ')})`);
+    }
+
+    // 只在符合消费策略的路线中选择；全部不符合时抛出首选路线的拒绝原因
+    if (this.spendingPolicy) {
+      const allowed = routes.filter(route => !this.spendingPolicy.evaluate(route, policyContext));
+      if (allowed.length === 0) {
+        const preferred = RouteSelection.select(routes, this.routeStrategies, strategyContext) || routes[0];
+        throw this.spendingPolicy.evaluate(preferred, policyContext);
+      }
+      routes = allowed;
+    }
+
+    const route = RouteSelection.select(routes, this.routeStrategies, strategyContext);
+
+    if (!route) {
+      throw new Error('No payment route satisfies the configured selection strategies');
+    }
+
+    return route;
   }
 
   /**
    * 创建 v2 支付签名
    */
   async createPaymentV2(route, resourceInfo) {
+    if (route.scheme === 'permit' || route.scheme === 'upto') {
+      return this.createPermitPayment(route, resourceInfo);
+    }
+
     // 生成 nonce
-    const nonce = SignatureUtils.generateNonce();
+    const nonce = await this.generateUniqueNonce(route);
 
     // 计算有效期
     const validAfter = 0;
@@ -169,20 +643,22 @@ class X402Client {
       domainName: route.meta.domainName,
       domainVersion: route.meta.domainVersion,
       contractType: route.meta.contractType,
+      authorizationType: SignatureUtils.resolveAuthorizationType(route.meta),
       chainId: this.extractChainIdFromCAIP2(route.network),
       verifyingContract: route.asset
     };
 
-    console.log('Signature parameters (v2):');
-    console.log(`   From: ${this.address}`);
-    console.log(`   To: ${route.payTo}`);
-    console.log(`   Value: ${route.amount}`);
-    console.log(`   Memo: ${memo}`);
-    console.log(`   Valid until: ${new Date(validBefore * 1000).toISOString()}`);
-    console.log(`   Nonce: ${nonce}`);
-    console.log(`   Network: ${route.network} (CAIP-2)`);
-    console.log(`   Contract: ${signingParams.contractType} (${signingParams.verifyingContract})`);
-    console.log(`   Domain: ${signingParams.domainName} v${signingParams.domainVersion}\n`);
+    this.logger.log('Signature parameters (v2):');
+    this.logger.log(`   From: ${this.address}`);
+    this.logger.log(`   To: ${route.payTo}`);
+    this.logger.log(`   Value: ${route.amount}`);
+    this.logger.log(`   Memo: ${memo}`);
+    this.logger.log(`   Valid until: ${new Date(validBefore * 1000).toISOString()}`);
+    this.logger.log(`   Nonce: ${nonce}`);
+    this.logger.log(`   Network: ${route.network} (CAIP-2)`);
+    this.logger.log(`   Contract: ${signingParams.contractType} (${signingParams.verifyingContract})`);
+    this.logger.log(`   Authorization: ${signingParams.authorizationType}`);
+    this.logger.log(`   Domain: ${signingParams.domainName} v${signingParams.domainVersion}\n`);
 
     // 创建签名
     const signatureData = await SignatureUtils.createTransferWithAuthorizationSignature({
@@ -194,17 +670,18 @@ class X402Client {
       validBefore: validBefore,
       nonce: nonce,
       memo: memo,
+      authorizationType: signingParams.authorizationType,
       domainName: signingParams.domainName,
       domainVersion: signingParams.domainVersion,
       chainId: signingParams.chainId,
       verifyingContract: signingParams.verifyingContract
     });
 
-    console.log('✅ Signature created successfully (v2)');
-    console.log('   v:', signatureData.v);
-    console.log('   r:', signatureData.r);
-    console.log('   s:', signatureData.s);
-    console.log('');
+    this.logger.log('✅ Signature created successfully (v2)');
+    this.logger.log('   v:', signatureData.v);
+    this.logger.log('   r:', signatureData.r);
+    this.logger.log('   s:', signatureData.s);
+    this.logger.log('');
 
     // 构造 v2 支付载荷
     return {
@@ -213,6 +690,7 @@ class X402Client {
         x402Version: 2,
         scheme: route.scheme,
         network: route.network,
+        asset: route.asset,
         payload: {
           authorization: {
             from: signatureData.from,
@@ -230,6 +708,161 @@ class X402Client {
     };
   }
 
+  /**
+   * 创建 permit / upto 方案的支付（EIP-2612 / Permit2）
+   * 授权 route.meta.spender（Facilitator）转出 amount，转账目标为 payTo；upto 只结算实际用量
+   */
+  async createPermitPayment(route, resourceInfo) {
+    const permitType = route.meta.permitType;
+    const spender = route.meta.spender;
+    if (!permitType || !spender) {
+      throw new Error('Permit route is missing permitType or spender in meta');
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + (route.timeoutSeconds || 3600);
+    const nonce = permitType === 'permit2'
+      ? SignatureUtils.generatePermit2Nonce()
+      : await this.getPermitNonce(route, deadline);
+    const memo = route.meta?.memo || resourceInfo.resource || 'x402-payment-v2';
+
+    this.logger.log(`Permit parameters (${permitType}):`);
+    this.logger.log(`   Owner: ${this.address}`);
+    this.logger.log(`   Spender: ${spender}`);
+    this.logger.log(`   Pay to: ${route.payTo}`);
+    this.logger.log(`   Value: ${route.amount}`);
+    this.logger.log(`   Deadline: ${new Date(deadline * 1000).toISOString()}`);
+    this.logger.log(`   Nonce: ${nonce}`);
+    this.logger.log(`   Network: ${route.network} (CAIP-2)`);
+    this.logger.log(`   Token: ${route.meta.contractType} (${route.asset})\n`);
+
+    const permit = await SignatureUtils.createPermitSignature({
+      wallet: this.wallet,
+      permitType: permitType,
+      owner: this.address,
+      spender: spender,
+      value: route.amount,
+      nonce: nonce,
+      deadline: deadline,
+      domainName: route.meta.domainName,
+      domainVersion: route.meta.domainVersion,
+      chainId: this.extractChainIdFromCAIP2(route.network),
+      verifyingContract: route.asset,
+      permit2Address: route.meta.permit2Address
+    });
+
+    this.logger.log('✅ Permit signed successfully\n');
+
+    return {
+      x402Version: 2,
+      paymentPayload: {
+        x402Version: 2,
+        scheme: route.scheme,
+        network: route.network,
+        asset: route.asset,
+        payload: {
+          permitType: permitType,
+          permit: {
+            owner: permit.owner,
+            spender: permit.spender,
+            value: permit.value,
+            nonce: permit.nonce,
+            deadline: permit.deadline
+          },
+          to: route.payTo,
+          signature: permit.signature
+        }
+      },
+      memo: memo,
+      resource: resourceInfo.resource
+    };
+  }
+
+  /**
+   * EIP-2612 的下一个 nonce：从链上 nonces() 开始，跳过本进程已签名、可能尚未上链的 permit
+   * 链上已越过或已过期的 permit 不再占用；被拒绝或丢弃的 permit 由 releasePermitNonce() 归还
+   * 读取占用与登记在同一同步段内完成，并发签名不会拿到相同的 nonce
+   * @throws {Error} 该网络未配置 RPC（无法得知链上 nonce，猜测的 nonce 会在结算时失败）
+   */
+  async getPermitNonce(route, deadline) {
+    const key = `${route.network}:${route.asset.toLowerCase()}`;
+    const provider = this.getProvider(route.network);
+    if (!provider) {
+      throw new Error(`EIP-2612 permit on ${route.network} requires an RPC URL (RPC_URLS) to read the token nonce`);
+    }
+
+    const onChain = BigInt(await SignatureUtils.getPermitNonce(provider, route.asset, this.address));
+    if (!this.permitNonces.has(key)) {
+      this.permitNonces.set(key, new Map());
+    }
+    const pending = this.permitNonces.get(key);
+    const now = Math.floor(Date.now() / 1000);
+    for (const [pendingNonce, pendingDeadline] of pending) {
+      if (BigInt(pendingNonce) < onChain || pendingDeadline <= now) {
+        pending.delete(pendingNonce);
+      }
+    }
+
+    let nonce = onChain;
+    while (pending.has(nonce.toString())) {
+      nonce++;
+    }
+    pending.set(nonce.toString(), deadline);
+    return nonce.toString();
+  }
+
+  /**
+   * 支付使用的 nonce（exact 取 authorization，permit 取 permit）
+   */
+  getPaymentNonce(payment) {
+    const payload = payment.paymentPayload.payload;
+    return payload.permit ? payload.permit.nonce : payload.authorization.nonce;
+  }
+
+  /**
+   * 获取网络对应的 provider（未配置 RPC 时返回 null）
+   */
+  getProvider(network) {
+    const rpcUrl = this.rpcUrls[network];
+    if (!rpcUrl) {
+      return null;
+    }
+
+    if (!this.providers.has(network)) {
+      // 兼容 ethers v5 和 v6
+      const provider = ethers.providers
+        ? new ethers.providers.JsonRpcProvider(rpcUrl)
+        : new ethers.JsonRpcProvider(rpcUrl);
+      this.providers.set(network, provider);
+    }
+
+    return this.providers.get(network);
+  }
+
+  /**
+   * 生成未使用过的 nonce：先查本地记录，配置了 RPC 时再查链上 authorizationState()
+   */
+  async generateUniqueNonce(route, maxAttempts = 5) {
+    const provider = this.getProvider(route.network);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const nonce = SignatureUtils.generateNonce(this.address);
+      const key = `${route.network}:${route.asset.toLowerCase()}:${nonce}`;
+
+      if (this.usedNonces.has(key)) {
+        continue;
+      }
+      if (provider && await SignatureUtils.isNonceUsedOnChain(provider, route.asset, this.address, nonce)) {
+        this.logger.warn(`⚠️  Nonce ${nonce} already used on-chain, generating another`);
+        continue;
+      }
+
+      this.usedNonces.add(key);
+      return nonce;
+    }
+
+    throw new Error(`Could not generate an unused nonce after ${maxAttempts} attempts`);
+  }
+
   /**
    * 从 CAIP-2 格式提取 chainId
    */
@@ -247,39 +880,12 @@ class X402Client {
   }
 }
 
-// 主程序入口
-async function main() {
-  const command = process.argv[2];
-  const message = process.argv[3];
-
-  // 初始化客户端
-  const client = new X402Client({
-    serverUrl: process.env.SERVER_URL || 'http://localhost:3000',
-    privateKey: process.env.CLIENT_PRIVATE_KEY
-  });
-
-  try {
-    if (command === 'chat') {
-      // 测试聊天端点
-      await client.requestProtectedResource('/api/chat', 'POST', { message });
-    } else if (command === 'protected') {
-      // 测试受保护端点
-      await client.requestProtectedResource('/api/protected', 'GET');
-    } else {
-      // 默认测试受保护端点
-      await client.requestProtectedResource('/api/protected', 'GET');
-    }
+// 不输出任何日志
+X402Client.silentLogger = { log() {}, warn() {}, error() {} };
 
-    console.log('\n✨ Test completed successfully!\n');
-  } catch (error) {
-    console.error('\n❌ Test failed:', error.message);
-    process.exit(1);
-  }
-}
+module.exports = X402Client;
 
-// 运行主程序
+// 直接运行 client.js 时使用命令行入口（见 cli.js）
 if (require.main === module) {
-  main();
+  require('./cli').main();
 }
-
-module.exports = X402Client;
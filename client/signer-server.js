@@ -0,0 +1,99 @@
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const WalletSigners = require('./utils/signers');
+
+/**
+ * 本地签名服务（远程签名器的替身，用于调试 REMOTE_SIGNER_URL）
+ * 实现 RemoteSigner 的协议：GET /address、POST /sign-typed-data
+ *
+ * @param {Object} wallet - 任一签名器后端（需提供 address 与 signTypedData）
+ * @param {Object} [options]
+ * @param {string} [options.token] - 要求请求携带 Authorization: Bearer <token>
+ * @returns {http.Server}
+ */
+function createSignerServer(wallet, options = {}) {
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const authorized = (req) => {
+    if (!options.token) {
+      return true;
+    }
+    const expected = Buffer.from(`Bearer ${options.token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  };
+
+  return http.createServer((req, res) => {
+    if (!authorized(req)) {
+      return send(res, 401, { error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET' && req.url === '/address') {
+      return send(res, 200, { address: wallet.address });
+    }
+
+    if (req.method === 'POST' && req.url === '/sign-typed-data') {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', async () => {
+        try {
+          const { address, domain, types, message } = JSON.parse(raw);
+          if (address && address.toLowerCase() !== wallet.address.toLowerCase()) {
+            return send(res, 400, { error: `Unknown signer address: ${address}` });
+          }
+
+          const signature = await wallet.signTypedData(domain, types, message);
+          console.log(`✍️  Signed ${Object.keys(types)[0]} for ${wallet.address}`);
+          send(res, 200, { signature });
+        } catch (error) {
+          send(res, 400, { error: error.message });
+        }
+      });
+      return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+  });
+}
+
+// 独立运行：签名密钥按 CLIENT_KEYSTORE_PATH / CLIENT_MNEMONIC / CLIENT_PRIVATE_KEY 加载
+// 默认只监听 127.0.0.1，且必须设置 SIGNER_TOKEN（无鉴权时任何能访问端口的人都可以用钱包签名）
+async function main() {
+  const port = process.env.SIGNER_PORT || 8090;
+  const host = process.env.SIGNER_HOST || '127.0.0.1';
+  const token = process.env.SIGNER_TOKEN;
+  const allowUnauthenticated = process.env.SIGNER_ALLOW_UNAUTHENTICATED === 'true';
+
+  if (token === 'change-me') {
+    throw new Error('SIGNER_TOKEN is the example value, set a random token');
+  }
+  if (!token && !allowUnauthenticated) {
+    throw new Error('SIGNER_TOKEN is not set (set SIGNER_ALLOW_UNAUTHENTICATED=true to run without authentication)');
+  }
+
+  const wallet = await WalletSigners.fromEnv({ ...process.env, REMOTE_SIGNER_URL: '' });
+  const server = createSignerServer(wallet, { token: token });
+
+  server.listen(port, host, () => {
+    console.log('\n🔏 Local Signer Server Started\n');
+    console.log(`📡 Server: http://${host}:${port}`);
+    console.log(`👛 Address: ${wallet.address}`);
+    console.log(`🔑 Auth: ${token ? 'Bearer token required' : 'none'}\n`);
+    if (!token) {
+      console.warn('⚠️  Running without authentication: anyone who can reach this port can sign with the wallet');
+    }
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Failed to start signer server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSignerServer };
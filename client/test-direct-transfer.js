@@ -1,4 +1,5 @@
 const { ethers } = require('ethers');
+const SignatureUtils = require('./utils/signature');
 require('dotenv').config();
 
 const LEDGER_ABI = [
@@ -30,8 +31,7 @@ async function testDirectTransfer() {
   const value = '10000'; // 0.01 单位
   const validAfter = 0;
   const validBefore = Math.floor(Date.now() / 1000) + 3600;
-  const timestamp = Math.floor(Date.now() / 1000);
-  const nonce = ethers.zeroPadValue(ethers.toBeHex(timestamp), 32);
+  const nonce = SignatureUtils.generateNonce(wallet.address);
   const memo = 'direct-test';
 
   console.log('签名参数:');
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const axios = require('axios');
+const X402Client = require('./client');
+const { withPaymentInterceptor, wrapFetchWithPayment } = require('./utils/payment-interceptors');
+
+async function test() {
+  console.log('🧪 测试 axios 拦截器与 fetch 包装\n');
+
+  const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
+  const client = new X402Client({
+    serverUrl: serverUrl,
+    privateKey: process.env.CLIENT_PRIVATE_KEY,
+    logger: X402Client.silentLogger
+  });
+
+  try {
+    // axios：与普通请求写法相同
+    const http = withPaymentInterceptor(axios.create({ baseURL: serverUrl }), client);
+    const axiosResponse = await http.get('/api/protected');
+    console.log(`✅ axios: ${axiosResponse.status}`, axiosResponse.data);
+    console.log('   Payment:', axiosResponse.x402Payment, '\n');
+
+    // fetch：与全局 fetch 签名相同
+    const fetchWithPayment = wrapFetchWithPayment(fetch, client);
+    const fetchResponse = await fetchWithPayment(`${serverUrl}/api/protected`);
+    console.log(`✅ fetch: ${fetchResponse.status}`, await fetchResponse.json());
+    console.log('   Payment:', fetchResponse.x402Payment);
+  } catch (error) {
+    console.error('\n❌ 测试失败:', error.message);
+    process.exit(1);
+  }
+}
+
+test();
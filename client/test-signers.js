@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SignatureUtils = require('./utils/signature');
+const WalletSigners = require('./utils/signers');
+const { createSignerServer } = require('./signer-server');
+
+const TEST_MNEMONIC = 'test test test test test test test test test test test junk';
+const TOKEN = 'test-signer-token';
+
+/**
+ * 用签名器创建一笔 TransferWithAuthorization 签名，并恢复签名者地址
+ */
+async function signAndRecover(signer) {
+  const params = {
+    wallet: signer,
+    from: signer.address,
+    to: '0x0CBdDc750fB3a1A5CD38EA6d0786408f4251f880',
+    value: '10000',
+    validAfter: 0,
+    validBefore: Math.floor(Date.now() / 1000) + 300,
+    nonce: SignatureUtils.generateNonce(signer.address),
+    authorizationType: 'transfer',
+    domainName: 'USD Coin',
+    domainVersion: '2',
+    chainId: 84532,
+    verifyingContract: '0x036cbd53842c5426634e7929541ec2318f3dcf7e'
+  };
+  const signed = await SignatureUtils.createTransferWithAuthorizationSignature(params);
+  const signature = ethers.Signature.from({ r: signed.r, s: signed.s, v: signed.v }).serialized;
+
+  return ethers.verifyTypedData(
+    { name: params.domainName, version: params.domainVersion, chainId: params.chainId, verifyingContract: params.verifyingContract },
+    SignatureUtils.AUTHORIZATION_TYPES.transfer.types,
+    { from: params.from, to: params.to, value: params.value, validAfter: params.validAfter, validBefore: params.validBefore, nonce: params.nonce },
+    signature
+  );
+}
+
+/**
+ * 启动本地签名服务（随机端口）
+ */
+async function startServer(wallet) {
+  const server = createSignerServer(wallet, { token: TOKEN });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function test() {
+  console.log('🧪 测试签名器后端（keystore / 助记词 / 远程签名器）\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-signers-'));
+  const keystoreWallet = ethers.Wallet.createRandom();
+  const keystorePath = path.join(tmpDir, 'keystore.json');
+  fs.writeFileSync(keystorePath, await keystoreWallet.encrypt('correct horse'));
+
+  const backends = [
+    ['keystore', () => WalletSigners.fromKeystore(keystorePath, 'correct horse'), keystoreWallet.address],
+    ['mnemonic', () => WalletSigners.fromMnemonic(TEST_MNEMONIC), '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'],
+    ['mnemonic (index 1)', () => WalletSigners.fromMnemonic(TEST_MNEMONIC, "m/44'/60'/0'/0/1"), '0x70997970C51812dc3A010C7d01b50e0d17dc79C8']
+  ];
+
+  let failures = 0;
+  const check = (label, condition) => {
+    console.log(`${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) {
+      failures += 1;
+    }
+  };
+
+  try {
+    for (const [name, load, expected] of backends) {
+      const wallet = await load();
+      check(`${name}: address ${wallet.address}`, wallet.address === expected);
+      check(`${name}: local signature recovers to signer`, (await signAndRecover(wallet)) === expected);
+
+      // 同一密钥放在本地签名服务后，通过远程签名器签名
+      const { server, url } = await startServer(wallet);
+      try {
+        const remote = await WalletSigners.fromRemote({ url, token: TOKEN });
+        check(`${name}: remote signer resolves address`, remote.address === expected);
+        check(`${name}: remote signature recovers to signer`, (await signAndRecover(remote)) === expected);
+
+        const unauthorized = await WalletSigners.fromRemote({ url, token: 'wrong' }).then(() => false, e => e.response?.status === 401);
+        check(`${name}: wrong token is rejected`, unauthorized);
+
+        // 签名服务返回其他账户的签名时应拒绝
+        const mismatched = await WalletSigners.fromRemote({ url, token: TOKEN, address: ethers.Wallet.createRandom().address });
+        const refused = await signAndRecover(mismatched).then(() => false, e => /expected|Unknown signer/.test(e.response?.data?.error || e.message));
+        check(`${name}: signature for another address is refused`, refused);
+      } finally {
+        server.close();
+      }
+    }
+
+    // fromEnv 选择后端
+    const fromEnv = await WalletSigners.fromEnv({ CLIENT_KEYSTORE_PATH: keystorePath, CLIENT_KEYSTORE_PASSWORD: 'correct horse' });
+    check('fromEnv: keystore', fromEnv.address === keystoreWallet.address);
+  } catch (error) {
+    console.error('\n❌ 测试失败:', error.message);
+    failures += 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✨ All signer backends passed\n');
+}
+
+test();
@@ -0,0 +1,121 @@
+/**
+ * 透明支付 402：axios 拦截器与 fetch 包装
+ * 收到带 PAYMENT-REQUIRED 的 402 时，用 X402Client 选择路线并签名，带 PAYMENT-SIGNATURE 重试一次；
+ * 返回正常的响应对象，并在 response.x402Payment 上附加支付信息（见 X402Client.getPaymentMetadata）
+ */
+
+/**
+ * fetch Headers -> 小写键的普通对象（与 axios 响应头格式一致）
+ */
+function toHeaderObject(headers) {
+  const result = {};
+  headers.forEach((value, key) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
+
+/**
+ * 为 axios 实例注册支付拦截器
+ * @param {Object} axiosInstance - axios 或 axios.create() 的实例
+ * @param {X402Client} client
+ * @returns {Object} 同一个 axios 实例
+ */
+function withPaymentInterceptor(axiosInstance, client) {
+  axiosInstance.interceptors.response.use(
+    response => response,
+    async (error) => {
+      const response = error.response;
+      const config = error.config;
+
+      // 只处理首次请求的 x402 v2 402 响应，已支付的重试仍为 402 时直接抛出
+      if (!response || response.status !== 402 || !config || config.x402Retry ||
+          !response.headers['payment-required']) {
+        throw error;
+      }
+
+      const paymentInfo = client.parsePaymentRequirement(response);
+      const payment = await client.createPayment(paymentInfo, axiosInstance.getUri(config));
+
+      config.x402Retry = true;
+      config.headers['PAYMENT-SIGNATURE'] = client.encodePaymentHeader(payment);
+
+      let paidResponse;
+      try {
+        paidResponse = await axiosInstance.request(config);
+      } catch (paidError) {
+        client.handlePaymentError(paidError, payment);
+        throw paidError;
+      }
+
+      paidResponse.x402Payment = client.getPaymentMetadata(paidResponse, payment);
+      if (paidResponse.x402Payment.charged !== null) {
+        client.recordCharge(payment, paidResponse.x402Payment.charged);
+      }
+      return paidResponse;
+    }
+  );
+
+  return axiosInstance;
+}
+
+/**
+ * 包装 fetch，返回签名相同的函数
+ * @param {Function} fetchFn - 全局 fetch 或兼容实现
+ * @param {X402Client} client
+ * @returns {Function} (input, init) => Promise<Response>
+ */
+function wrapFetchWithPayment(fetchFn, client) {
+  return async (input, init = {}) => {
+    // Request 的请求体只能读取一次，重试时使用副本
+    const retryInput = input instanceof Request ? input.clone() : input;
+    const response = await fetchFn(input, init);
+
+    if (response.status !== 402 || !response.headers.get('payment-required')) {
+      return response;
+    }
+
+    let body = {};
+    try {
+      body = await response.clone().json();
+    } catch (error) {
+      // 响应体不是 JSON，支付要求只从头部读取
+    }
+
+    const requestUrl = typeof input === 'string' ? input : (input.url || input.href);
+    const paymentInfo = client.parsePaymentRequirement({
+      headers: toHeaderObject(response.headers),
+      data: body
+    });
+    const payment = await client.createPayment(paymentInfo, requestUrl);
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    headers.set('PAYMENT-SIGNATURE', client.encodePaymentHeader(payment));
+
+    const paidResponse = await fetchFn(retryInput, { ...init, headers });
+    if (!paidResponse.ok) {
+      // 支付未被接受时撤销预算占用（5xx 与结算超时时服务端可能已结算，保留占用）
+      let paidBody = null;
+      try {
+        paidBody = await paidResponse.clone().json();
+      } catch (error) {
+        // 响应体不是 JSON，没有拒绝原因
+      }
+      client.handlePaymentError({
+        response: { status: paidResponse.status, headers: toHeaderObject(paidResponse.headers), data: paidBody }
+      }, payment);
+      return paidResponse;
+    }
+
+    paidResponse.x402Payment = client.getPaymentMetadata({ headers: toHeaderObject(paidResponse.headers) }, payment);
+    if (paidResponse.x402Payment.charged !== null) {
+      client.recordCharge(payment, paidResponse.x402Payment.charged);
+    }
+    return paidResponse;
+  };
+}
+
+module.exports = {
+  withPaymentInterceptor,
+  wrapFetchWithPayment
+};
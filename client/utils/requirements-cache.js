@@ -0,0 +1,55 @@
+const DEFAULT_TTL_MS = 60 * 1000;
+
+/**
+ * 支付要求缓存：按 请求方法 + 资源 URL 保存解析后的 PAYMENT-REQUIRED
+ * 命中时客户端直接签名并携带支付请求，省去一次未支付的 402 往返
+ */
+class RequirementsCache {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.ttlMs] - 缓存有效期（毫秒）
+   */
+  constructor(config = {}) {
+    this.ttlMs = config.ttlMs !== undefined ? config.ttlMs : DEFAULT_TTL_MS;
+    this.entries = new Map();
+  }
+
+  static key(method, url) {
+    return `${method.toUpperCase()} ${url}`;
+  }
+
+  /**
+   * 读取未过期的支付要求，不存在或已过期时返回 null
+   */
+  get(method, url) {
+    const key = RequirementsCache.key(method, url);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.paymentInfo;
+  }
+
+  set(method, url, paymentInfo) {
+    this.entries.set(RequirementsCache.key(method, url), {
+      paymentInfo: paymentInfo,
+      expiresAt: Date.now() + this.ttlMs
+    });
+  }
+
+  delete(method, url) {
+    this.entries.delete(RequirementsCache.key(method, url));
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = RequirementsCache;
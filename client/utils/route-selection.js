@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'tokens.json');
+
+/**
+ * 支付路线选择策略
+ *
+ * 策略是 (routes, context) => routes 的函数，返回过滤/排序后的候选路线。
+ * 多个策略组合时前面的策略优先，后面的策略只在前者无法区分时起作用；最终选择第一条候选路线。
+ */
+class RouteSelection {
+  /**
+   * 规范化网络：1337 / "1337" / "eip155:1337" -> "eip155:1337"
+   */
+  static normalizeNetwork(network) {
+    const value = network.toString();
+    return value.includes(':') ? value : `eip155:${value}`;
+  }
+
+  /**
+   * 加载 token 注册表（默认 config/tokens.json）
+   * @returns {Array<{symbol: string, network: string, asset: string, decimals: number}>}
+   */
+  static loadTokenRegistry(filePath = DEFAULT_REGISTRY_PATH) {
+    const registry = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return registry.tokens || [];
+  }
+
+  /**
+   * 在注册表中查找路线对应的 token
+   */
+  static findToken(registry, route) {
+    return registry.find(token =>
+      RouteSelection.normalizeNetwork(token.network) === route.network &&
+      token.asset.toLowerCase() === route.asset.toLowerCase()
+    ) || null;
+  }
+
+  /**
+   * 偏好网络 / token 列表：按列表顺序排序，未列出的排在最后
+   * @param {Object} preferences
+   * @param {Array<string|number>} [preferences.networks] - CAIP-2 网络或 chainId
+   * @param {string[]} [preferences.tokens] - token 符号（contractType / 注册表 symbol）或合约地址
+   */
+  static preferred({ networks = [], tokens = [] }) {
+    const networkOrder = networks.map(network => RouteSelection.normalizeNetwork(network).toLowerCase());
+    const tokenOrder = tokens.map(token => token.toLowerCase());
+
+    // 列表中的位置，未列出的排在最后
+    const rank = (order, values) => {
+      const indexes = values
+        .filter(Boolean)
+        .map(value => order.indexOf(value.toLowerCase()))
+        .filter(index => index !== -1);
+      return indexes.length > 0 ? Math.min(...indexes) : order.length;
+    };
+
+    return (routes, context = {}) => {
+      const registry = context.tokenRegistry || [];
+      const networkRank = (route) => rank(networkOrder, [route.network]);
+      const tokenRank = (route) => {
+        const token = RouteSelection.findToken(registry, route);
+        return rank(tokenOrder, [route.asset, route.meta?.contractType, token?.symbol]);
+      };
+
+      return routes.slice().sort((a, b) =>
+        (networkRank(a) - networkRank(b)) || (tokenRank(a) - tokenRank(b))
+      );
+    };
+  }
+
+  /**
+   * 金额最低优先
+   */
+  static cheapest() {
+    return (routes) => routes.slice().sort((a, b) => {
+      const diff = BigInt(a.amount) - BigInt(b.amount);
+      return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+    });
+  }
+
+  /**
+   * 仅保留资产在 token 注册表中的路线
+   * @param {Array} [registry] - 不传时使用 context.tokenRegistry
+   */
+  static registryOnly(registry = null) {
+    return (routes, context = {}) => {
+      const tokens = registry || context.tokenRegistry || [];
+      return routes.filter(route => RouteSelection.findToken(tokens, route) !== null);
+    };
+  }
+
+  /**
+   * 自定义回调：返回选中的路线、候选路线数组或 null
+   */
+  static custom(callback) {
+    return (routes, context = {}) => {
+      const result = callback(routes, context);
+      if (!result) {
+        return [];
+      }
+      return Array.isArray(result) ? result : [result];
+    };
+  }
+
+  /**
+   * 依次应用策略并返回第一条候选路线，无可用路线时返回 null
+   */
+  static select(routes, strategies = [], context = {}) {
+    // 逆序应用：稳定排序保证前面的策略优先
+    const candidates = strategies
+      .slice()
+      .reverse()
+      .reduce((current, strategy) => strategy(current, context), routes);
+
+    return candidates.length > 0 ? candidates[0] : null;
+  }
+}
+
+module.exports = RouteSelection;
@@ -0,0 +1,92 @@
+/**
+ * 预付会话缓存
+ *   - offers: 请求方法 + 资源 URL -> 402 响应中的会话报价（哪些资源接受哪个会话范围）
+ *   - tokens: 会话范围 -> { token, remaining, expiresAt }
+ * 每次使用前在本地预扣一次，并发请求不会超出服务端剩余次数
+ */
+class SessionCache {
+  constructor() {
+    this.offers = new Map();
+    this.tokens = new Map();
+    // 购买失败的会话范围，不再自动购买
+    this.declined = new Set();
+  }
+
+  static key(method, url) {
+    return `${method.toUpperCase()} ${url}`;
+  }
+
+  setOffer(method, url, offer) {
+    if (!this.declined.has(offer.scope)) {
+      this.offers.set(SessionCache.key(method, url), offer);
+    }
+  }
+
+  getOffer(method, url) {
+    return this.offers.get(SessionCache.key(method, url)) || null;
+  }
+
+  /**
+   * 放弃该范围的会话：删除报价，之后按次支付
+   */
+  decline(scope) {
+    this.declined.add(scope);
+    for (const [key, offer] of this.offers) {
+      if (offer.scope === scope) {
+        this.offers.delete(key);
+      }
+    }
+  }
+
+  setToken(scope, session) {
+    this.tokens.set(scope, { ...session });
+  }
+
+  /**
+   * 取出可用的会话令牌并预扣一次，过期或用尽时返回 null
+   */
+  take(scope) {
+    const session = this.tokens.get(scope);
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now() || session.remaining === 0) {
+      this.tokens.delete(scope);
+      return null;
+    }
+
+    if (session.remaining !== null) {
+      session.remaining -= 1;
+    }
+    return session;
+  }
+
+  /**
+   * 以服务端返回的剩余次数校准（并发时取较小值）
+   */
+  updateRemaining(scope, remaining) {
+    const session = this.tokens.get(scope);
+    if (session && remaining !== null && session.remaining !== null) {
+      session.remaining = Math.min(session.remaining, remaining);
+    }
+  }
+
+  /**
+   * 删除被服务端拒绝的令牌（其间已购买的新令牌保留）
+   */
+  deleteToken(scope, token) {
+    const session = this.tokens.get(scope);
+    if (session && session.token === token) {
+      this.tokens.delete(scope);
+    }
+  }
+
+  clear() {
+    this.offers.clear();
+    this.tokens.clear();
+    this.declined.clear();
+  }
+}
+
+module.exports = SessionCache;
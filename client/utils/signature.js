@@ -1,13 +1,97 @@
+const crypto = require('crypto');
 const { ethers } = require('ethers');
 
+const AUTHORIZATION_STATE_ABI = [
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)'
+];
+
+const PERMIT_NONCES_ABI = [
+  'function nonces(address owner) view returns (uint256)'
+];
+
+// Permit2 在各 EVM 链上的统一部署地址
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const EIP3009_FIELDS = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'validAfter', type: 'uint256' },
+  { name: 'validBefore', type: 'uint256' },
+  { name: 'nonce', type: 'bytes32' }
+];
+
+// 与服务端 route.meta.authorizationType 对应的 EIP-712 类型
+const AUTHORIZATION_TYPES = {
+  // DailyLedger：TransferWithAuthorization + memo
+  transferWithMemo: {
+    primaryType: 'TransferWithAuthorization',
+    memo: true,
+    types: { TransferWithAuthorization: [...EIP3009_FIELDS, { name: 'memo', type: 'string' }] }
+  },
+  // 标准 EIP-3009（USDC 等）
+  transfer: {
+    primaryType: 'TransferWithAuthorization',
+    memo: false,
+    types: { TransferWithAuthorization: EIP3009_FIELDS }
+  },
+  receive: {
+    primaryType: 'ReceiveWithAuthorization',
+    memo: false,
+    types: { ReceiveWithAuthorization: EIP3009_FIELDS }
+  }
+};
+
+// permit 方案（不支持 EIP-3009 的 token）的 EIP-712 类型
+const PERMIT_TYPES = {
+  // EIP-2612：代币自身的 Permit
+  eip2612: {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  // Uniswap Permit2：PermitTransferFrom
+  permit2: {
+    PermitTransferFrom: [
+      { name: 'permitted', type: 'TokenPermissions' },
+      { name: 'spender', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    TokenPermissions: [
+      { name: 'token', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ]
+  }
+};
+
 /**
  * EIP-712 签名工具
- * 用于创建 transferWithAuthorization 签名
+ * 用于创建 transferWithAuthorization / receiveWithAuthorization 签名
  */
 class SignatureUtils {
+  /**
+   * 根据路线 meta 确定授权类型
+   * 未声明 authorizationType 的旧服务端：DailyLedger 使用带 memo 的变体，其余使用标准 EIP-3009
+   */
+  static resolveAuthorizationType(meta = {}) {
+    const authorizationType = meta.authorizationType ||
+      (meta.contractType && meta.contractType !== 'DailyLedger' ? 'transfer' : 'transferWithMemo');
+
+    if (!AUTHORIZATION_TYPES[authorizationType]) {
+      throw new Error(`Unsupported authorizationType: ${authorizationType}`);
+    }
+    return authorizationType;
+  }
+
   /**
    * 创建 EIP-712 类型化数据签名
    * @param {Object} params - 签名参数
+   * @param {string} [params.authorizationType] - transferWithMemo（默认）| transfer | receive
    * @returns {Object} - 包含签名的完整支付数据
    */
   static async createTransferWithAuthorizationSignature(params) {
@@ -20,6 +104,7 @@ class SignatureUtils {
       validBefore,
       nonce,
       memo,
+      authorizationType = 'transferWithMemo',
       domainName,
       domainVersion,
       chainId,
@@ -35,28 +120,24 @@ class SignatureUtils {
     };
 
     // 定义类型
-    const types = {
-      TransferWithAuthorization: [
-        { name: 'from', type: 'address' },
-        { name: 'to', type: 'address' },
-        { name: 'value', type: 'uint256' },
-        { name: 'validAfter', type: 'uint256' },
-        { name: 'validBefore', type: 'uint256' },
-        { name: 'nonce', type: 'bytes32' },
-        { name: 'memo', type: 'string' }
-      ]
-    };
+    const schema = AUTHORIZATION_TYPES[authorizationType];
+    if (!schema) {
+      throw new Error(`Unsupported authorizationType: ${authorizationType}`);
+    }
+    const types = schema.types;
 
-    // 定义消息
+    // 定义消息（只有带 memo 的变体包含 memo）
     const message = {
       from: from,
       to: to,
       value: value,
       validAfter: validAfter,
       validBefore: validBefore,
-      nonce: nonce,
-      memo: memo
+      nonce: nonce
     };
+    if (schema.memo) {
+      message.memo = memo;
+    }
 
     // 签名（兼容 ethers v5 和 v6）
     let signature;
@@ -78,10 +159,6 @@ class SignatureUtils {
       sig = ethers.Signature.from(signature);
     }
 
-    console.log('signature:', signature);
-    console.log('sig.v:', sig.v);
-    console.log('sig.r:', sig.r);
-    console.log('sig.s:', sig.s);
     return {
       from: from,
       to: to,
@@ -89,7 +166,8 @@ class SignatureUtils {
       validAfter: validAfter,
       validBefore: validBefore,
       nonce: nonce,
-      memo: memo,
+      memo: schema.memo ? memo : undefined,
+      primaryType: schema.primaryType,
       v: sig.v,
       r: sig.r,
       s: sig.s
@@ -97,19 +175,139 @@ class SignatureUtils {
   }
 
   /**
-   * 生成随机 nonce (基于时间戳的 bytes32)
+   * 创建 permit 签名（EIP-2612 或 Permit2）
+   * @param {Object} params
+   * @param {string} params.permitType - eip2612 | permit2
+   * @param {string} [params.permit2Address] - permit2 的合约地址（默认统一部署地址）
+   * @returns {Object} - { owner, spender, value, nonce, deadline, signature }
    */
-  static generateNonce() {
-    const timestamp = Math.floor(Date.now() / 1000);
+  static async createPermitSignature(params) {
+    const {
+      wallet,
+      permitType,
+      owner,
+      spender,
+      value,
+      nonce,
+      deadline,
+      domainName,
+      domainVersion,
+      chainId,
+      verifyingContract,
+      permit2Address
+    } = params;
+
+    const types = PERMIT_TYPES[permitType];
+    if (!types) {
+      throw new Error(`Unsupported permitType: ${permitType}`);
+    }
+
+    let domain;
+    let message;
+    if (permitType === 'permit2') {
+      // Permit2 使用自身的域，token 写在 permitted 中
+      domain = {
+        name: 'Permit2',
+        chainId: chainId,
+        verifyingContract: permit2Address || PERMIT2_ADDRESS
+      };
+      message = {
+        permitted: { token: verifyingContract, amount: value },
+        spender: spender,
+        nonce: nonce,
+        deadline: deadline
+      };
+    } else {
+      domain = {
+        name: domainName,
+        version: domainVersion,
+        chainId: chainId,
+        verifyingContract: verifyingContract
+      };
+      message = {
+        owner: owner,
+        spender: spender,
+        value: value,
+        nonce: nonce,
+        deadline: deadline
+      };
+    }
+
+    // 签名（兼容 ethers v5 和 v6）
+    let signature;
+    if (wallet._signTypedData) {
+      // ethers v5
+      signature = await wallet._signTypedData(domain, types, message);
+    } else {
+      // ethers v6
+      signature = await wallet.signTypedData(domain, types, message);
+    }
+
+    return {
+      owner: owner,
+      spender: spender,
+      value: value.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+      signature: signature
+    };
+  }
+
+  /**
+   * 生成 Permit2 的无序 nonce（uint256 十进制字符串）
+   */
+  static generatePermit2Nonce() {
+    return BigInt('0x' + crypto.randomBytes(32).toString('hex')).toString();
+  }
+
+  /**
+   * 通过代币 nonces() 查询 EIP-2612 的下一个 nonce
+   * @param {Object} provider - ethers provider
+   */
+  static async getPermitNonce(provider, verifyingContract, owner) {
+    const token = new ethers.Contract(verifyingContract, PERMIT_NONCES_ABI, provider);
+    return (await token.nonces(owner)).toString();
+  }
+
+  /**
+   * 生成随机 nonce (bytes32)
+   * 使用 32 字节密码学随机数；传入地址时再混入该钱包的递增计数器，进一步避免同一钱包碰撞
+   * @param {string} [address] - 签名钱包地址
+   */
+  static generateNonce(address = null) {
+    const random = crypto.randomBytes(32);
+
+    if (!address) {
+      return '0x' + random.toString('hex');
+    }
+
+    const key = address.toLowerCase();
+    const counter = (SignatureUtils.nonceCounters.get(key) || 0) + 1;
+    SignatureUtils.nonceCounters.set(key, counter);
+
     // 兼容 ethers v5 和 v6
-    if (ethers.utils && ethers.utils.hexZeroPad) {
+    if (ethers.utils && ethers.utils.solidityKeccak256) {
       // ethers v5
-      return ethers.utils.hexZeroPad(ethers.utils.hexlify(timestamp), 32);
+      return ethers.utils.solidityKeccak256(['bytes32', 'address', 'uint256'], [random, address, counter]);
     } else {
       // ethers v6
-      return ethers.zeroPadValue(ethers.toBeHex(timestamp), 32);
+      return ethers.solidityPackedKeccak256(['bytes32', 'address', 'uint256'], [random, address, counter]);
     }
   }
+
+  /**
+   * 通过合约 authorizationState() 查询 nonce 是否已在链上使用
+   * @param {Object} provider - ethers provider
+   */
+  static async isNonceUsedOnChain(provider, verifyingContract, authorizer, nonce) {
+    const token = new ethers.Contract(verifyingContract, AUTHORIZATION_STATE_ABI, provider);
+    return await token.authorizationState(authorizer, nonce);
+  }
 }
 
+// 每个钱包的 nonce 计数器
+SignatureUtils.nonceCounters = new Map();
+
 module.exports = SignatureUtils;
+module.exports.AUTHORIZATION_TYPES = AUTHORIZATION_TYPES;
+module.exports.PERMIT_TYPES = PERMIT_TYPES;
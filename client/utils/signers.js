@@ -0,0 +1,174 @@
+const fs = require('fs');
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+/**
+ * 远程签名器：把 EIP-712 数据通过 HTTP 交给签名服务，本机不保存私钥
+ *
+ * 协议：
+ *   GET  {url}/address                                   -> { address }
+ *   POST {url}/sign-typed-data { address, domain, types, message } -> { signature }
+ * 配置了 token 时以 Authorization: Bearer <token> 发送
+ */
+class RemoteSigner {
+  /**
+   * @param {Object} config
+   * @param {string} config.url - 签名服务地址
+   * @param {string} [config.address] - 签名地址（不填时由 connect() 从服务端读取）
+   * @param {string} [config.token] - Bearer token
+   * @param {number} [config.timeoutMs]
+   */
+  constructor(config) {
+    this.url = config.url.replace(/\/+$/, '');
+    this.address = config.address ? ethers.getAddress(config.address) : null;
+    this.token = config.token || null;
+    this.timeoutMs = config.timeoutMs || 10000;
+  }
+
+  /**
+   * 创建远程签名器并确定签名地址
+   */
+  static async connect(config) {
+    const signer = new RemoteSigner(config);
+
+    if (!signer.address) {
+      const response = await axios.get(`${signer.url}/address`, {
+        headers: signer.getHeaders(),
+        timeout: signer.timeoutMs
+      });
+      signer.address = ethers.getAddress(response.data.address);
+    }
+
+    return signer;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    return headers;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * 请求签名服务签名，并在本地校验签名确实来自该地址
+   */
+  async signTypedData(domain, types, message) {
+    // BigInt 无法直接 JSON 序列化，统一转为十进制字符串
+    const body = JSON.stringify({ address: this.address, domain, types, message },
+      (key, value) => typeof value === 'bigint' ? value.toString() : value);
+
+    const response = await axios.post(`${this.url}/sign-typed-data`, body, {
+      headers: this.getHeaders(),
+      timeout: this.timeoutMs
+    });
+
+    const signature = response.data.signature;
+    const signer = ethers.verifyTypedData(domain, types, message, signature);
+    if (signer.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer returned a signature from ${signer}, expected ${this.address}`);
+    }
+
+    return signature;
+  }
+}
+
+/**
+ * 客户端签名器后端
+ * 返回的对象均提供 address 与 signTypedData()，可作为 X402Client 的 signer
+ */
+class WalletSigners {
+  /**
+   * 明文私钥（仅用于测试）
+   */
+  static fromPrivateKey(privateKey) {
+    return new ethers.Wallet(privateKey);
+  }
+
+  /**
+   * 加密 JSON keystore（Web3 Secret Storage）
+   * @param {string} filePath - keystore 文件路径
+   * @param {string} password - 解密口令
+   */
+  static async fromKeystore(filePath, password) {
+    const json = fs.readFileSync(filePath, 'utf-8');
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  }
+
+  /**
+   * BIP-39 助记词
+   * @param {string} phrase - 助记词
+   * @param {string} [path] - 派生路径，默认 m/44'/60'/0'/0/0
+   * @param {string} [passphrase] - BIP-39 附加口令
+   */
+  static fromMnemonic(phrase, path = DEFAULT_DERIVATION_PATH, passphrase = '') {
+    const words = phrase.trim().split(/\s+/).join(' ');
+
+    // 兼容 ethers v5 和 v6
+    if (ethers.HDNodeWallet) {
+      // ethers v6
+      return ethers.HDNodeWallet.fromPhrase(words, passphrase, path);
+    }
+    // ethers v5
+    return ethers.Wallet.fromMnemonic(words, path);
+  }
+
+  /**
+   * 远程签名服务
+   */
+  static async fromRemote(config) {
+    return await RemoteSigner.connect(config);
+  }
+
+  /**
+   * 按环境变量创建签名器，优先级：
+   *   REMOTE_SIGNER_URL > CLIENT_KEYSTORE_PATH > CLIENT_MNEMONIC(_FILE) > CLIENT_PRIVATE_KEY
+   * 口令与助记词可通过 *_FILE 从文件读取，避免写入 .env
+   */
+  static async fromEnv(env) {
+    const secret = (name) => {
+      if (env[`${name}_FILE`]) {
+        return fs.readFileSync(env[`${name}_FILE`], 'utf-8').trim();
+      }
+      return env[name];
+    };
+
+    if (env.REMOTE_SIGNER_URL) {
+      return await WalletSigners.fromRemote({
+        url: env.REMOTE_SIGNER_URL,
+        address: env.REMOTE_SIGNER_ADDRESS,
+        token: secret('REMOTE_SIGNER_TOKEN')
+      });
+    }
+
+    if (env.CLIENT_KEYSTORE_PATH) {
+      const password = secret('CLIENT_KEYSTORE_PASSWORD');
+      if (password === undefined) {
+        throw new Error('CLIENT_KEYSTORE_PASSWORD or CLIENT_KEYSTORE_PASSWORD_FILE is required for CLIENT_KEYSTORE_PATH');
+      }
+      return await WalletSigners.fromKeystore(env.CLIENT_KEYSTORE_PATH, password);
+    }
+
+    const mnemonic = secret('CLIENT_MNEMONIC');
+    if (mnemonic) {
+      return WalletSigners.fromMnemonic(mnemonic, env.CLIENT_DERIVATION_PATH || DEFAULT_DERIVATION_PATH,
+        secret('CLIENT_MNEMONIC_PASSPHRASE') || '');
+    }
+
+    if (env.CLIENT_PRIVATE_KEY) {
+      return WalletSigners.fromPrivateKey(env.CLIENT_PRIVATE_KEY);
+    }
+
+    throw new Error('No signer configured: set REMOTE_SIGNER_URL, CLIENT_KEYSTORE_PATH, CLIENT_MNEMONIC or CLIENT_PRIVATE_KEY');
+  }
+}
+
+module.exports = WalletSigners;
+module.exports.RemoteSigner = RemoteSigner;
+module.exports.DEFAULT_DERIVATION_PATH = DEFAULT_DERIVATION_PATH;
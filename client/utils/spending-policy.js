@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const RouteSelection = require('./route-selection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 默认消费记录文件：滚动日预算跨进程生效
+const DEFAULT_SPENDS_FILE = path.join(__dirname, '..', 'data', 'spending.json');
+
+/**
+ * 支付被消费策略拒绝（不会签名）
+ * code: amount_exceeds_limit | budget_exceeded | payee_not_allowed | host_not_allowed | timeout_out_of_range
+ */
+class SpendingPolicyError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SpendingPolicyError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 客户端消费策略：签名前检查路线
+ * - 单次请求金额上限
+ * - 按 token 的滚动日预算 / 会话预算
+ * - 收款地址与资源域名白名单
+ * - timeoutSeconds 范围
+ *
+ * token 可用符号（contractType / 注册表 symbol）或合约地址指定，'*' 表示所有 token；金额均为最小单位
+ */
+class SpendingPolicy {
+  /**
+   * @param {Object} config
+   * @param {string|Object} [config.maxAmountPerRequest] - 全局上限，或 { token: 上限 }
+   * @param {Array<{token: string, amount: string, window: string}>} [config.budgets] - window: daily | session
+   * @param {string[]} [config.allowedPayees] - 允许的收款地址
+   * @param {string[]} [config.allowedHosts] - 允许的资源域名（host 或 host:port）
+   * @param {number} [config.minTimeoutSeconds]
+   * @param {number} [config.maxTimeoutSeconds]
+   * @param {Array} [config.tokenRegistry] - 用于将合约地址解析为符号
+   * @param {string} [config.spendsFile] - 消费记录文件；不配置时只记录在内存中（日预算仅在本进程内生效）
+   */
+  constructor(config = {}) {
+    this.maxAmountPerRequest = config.maxAmountPerRequest || null;
+    this.budgets = config.budgets || [];
+    this.allowedPayees = config.allowedPayees ? config.allowedPayees.map(a => a.toLowerCase()) : null;
+    this.allowedHosts = config.allowedHosts ? config.allowedHosts.map(h => h.toLowerCase()) : null;
+    this.minTimeoutSeconds = config.minTimeoutSeconds || 1;
+    this.maxTimeoutSeconds = config.maxTimeoutSeconds || 24 * 60 * 60;
+    this.tokenRegistry = config.tokenRegistry || [];
+    this.spendsFile = config.spendsFile || null;
+    // 会话预算只统计本进程启动后的消费
+    this.startedAt = Date.now();
+    this.spends = this.loadSpends();
+  }
+
+  /**
+   * 读取过去 24 小时的消费记录
+   */
+  loadSpends() {
+    if (!this.spendsFile || !fs.existsSync(this.spendsFile)) {
+      return [];
+    }
+
+    const since = Date.now() - DAY_MS;
+    return JSON.parse(fs.readFileSync(this.spendsFile, 'utf-8'))
+      .filter(spend => spend.at >= since)
+      .map(spend => ({ keys: spend.keys, amount: BigInt(spend.amount), at: spend.at }));
+  }
+
+  /**
+   * 写入消费记录（只保留日预算窗口内的记录）
+   */
+  saveSpends() {
+    if (!this.spendsFile) {
+      return;
+    }
+
+    const since = Date.now() - DAY_MS;
+    const records = this.spends
+      .filter(spend => spend.at >= since)
+      .map(spend => ({ keys: spend.keys, amount: spend.amount.toString(), at: spend.at }));
+
+    fs.mkdirSync(path.dirname(this.spendsFile), { recursive: true });
+    const tmpPath = `${this.spendsFile}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, this.spendsFile);
+  }
+
+  /**
+   * 从环境变量构建，未配置任何限制时返回 null
+   * MAX_AMOUNT_PER_REQUEST / DAILY_BUDGET / SESSION_BUDGET / ALLOWED_PAYEES / ALLOWED_HOSTS /
+   * MIN_TIMEOUT_SECONDS / MAX_TIMEOUT_SECONDS
+   * 消费记录保存在 SPENDING_RECORDS_FILE（默认 data/spending.json），DAILY_BUDGET 跨多次运行累计
+   */
+  static fromEnv(env, tokenRegistry = []) {
+    const list = (value) => value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+    const budgets = [];
+    if (env.DAILY_BUDGET) {
+      budgets.push({ token: '*', amount: env.DAILY_BUDGET, window: 'daily' });
+    }
+    if (env.SESSION_BUDGET) {
+      budgets.push({ token: '*', amount: env.SESSION_BUDGET, window: 'session' });
+    }
+
+    const config = {
+      maxAmountPerRequest: env.MAX_AMOUNT_PER_REQUEST,
+      budgets: budgets,
+      allowedPayees: list(env.ALLOWED_PAYEES),
+      allowedHosts: list(env.ALLOWED_HOSTS),
+      minTimeoutSeconds: env.MIN_TIMEOUT_SECONDS ? parseInt(env.MIN_TIMEOUT_SECONDS) : undefined,
+      maxTimeoutSeconds: env.MAX_TIMEOUT_SECONDS ? parseInt(env.MAX_TIMEOUT_SECONDS) : undefined,
+      tokenRegistry: tokenRegistry,
+      spendsFile: env.SPENDING_RECORDS_FILE || DEFAULT_SPENDS_FILE
+    };
+
+    const configured = config.maxAmountPerRequest || budgets.length > 0 || config.allowedPayees ||
+      config.allowedHosts || config.minTimeoutSeconds || config.maxTimeoutSeconds;
+
+    return configured ? new SpendingPolicy(config) : null;
+  }
+
+  /**
+   * 路线可匹配的 token 标识（小写）：合约地址、contractType、注册表符号
+   */
+  tokenKeys(route) {
+    const token = RouteSelection.findToken(this.tokenRegistry, route);
+    return [route.asset, route.meta?.contractType, token?.symbol]
+      .filter(Boolean)
+      .map(key => key.toLowerCase());
+  }
+
+  matchesToken(route, token) {
+    return token === '*' || this.tokenKeys(route).includes(token.toLowerCase());
+  }
+
+  /**
+   * 该 token 在窗口内已消费的金额
+   */
+  spentInWindow(route, budget, now = Date.now()) {
+    const since = budget.window === 'daily' ? now - DAY_MS : this.startedAt;
+    return this.spends
+      .filter(spend => spend.at >= since)
+      .filter(spend => budget.token === '*' || spend.keys.includes(budget.token.toLowerCase()))
+      .reduce((sum, spend) => sum + spend.amount, 0n);
+  }
+
+  /**
+   * 检查路线，违反策略时返回 SpendingPolicyError，否则返回 null
+   * @param {Object} route - accepts 中的路线
+   * @param {Object} [context] - { resourceInfo, requestUrl }
+   */
+  evaluate(route, context = {}) {
+    const amount = BigInt(route.amount);
+
+    // 单次金额上限
+    if (this.maxAmountPerRequest) {
+      const limits = typeof this.maxAmountPerRequest === 'object'
+        ? this.maxAmountPerRequest
+        : { '*': this.maxAmountPerRequest };
+      const limitKey = Object.keys(limits).find(token => token !== '*' && this.matchesToken(route, token)) ||
+        (limits['*'] !== undefined ? '*' : null);
+
+      if (limitKey !== null && amount > BigInt(limits[limitKey])) {
+        return new SpendingPolicyError('amount_exceeds_limit',
+          `Route amount ${route.amount} exceeds per-request limit ${limits[limitKey]}`,
+          { route, limit: limits[limitKey].toString() });
+      }
+    }
+
+    // 滚动日预算 / 会话预算
+    for (const budget of this.budgets) {
+      if (!this.matchesToken(route, budget.token)) {
+        continue;
+      }
+      const spent = this.spentInWindow(route, budget);
+      if (spent + amount > BigInt(budget.amount)) {
+        return new SpendingPolicyError('budget_exceeded',
+          `Paying ${route.amount} would exceed the ${budget.window} budget ${budget.amount} (spent ${spent})`,
+          { route, budget, spent: spent.toString() });
+      }
+    }
+
+    // 收款地址白名单
+    if (this.allowedPayees && !this.allowedPayees.includes(route.payTo.toLowerCase())) {
+      return new SpendingPolicyError('payee_not_allowed', `Payee ${route.payTo} is not in the allowlist`, { route });
+    }
+
+    // 资源域名白名单（同时检查实际请求地址与服务端声明的 resource）
+    if (this.allowedHosts) {
+      const urls = [context.requestUrl, context.resourceInfo?.resource].filter(Boolean);
+      for (const url of urls) {
+        let host;
+        try {
+          host = new URL(url).host.toLowerCase();
+        } catch (error) {
+          host = null;
+        }
+        if (!host || !this.allowedHosts.includes(host)) {
+          return new SpendingPolicyError('host_not_allowed', `Resource host is not in the allowlist: ${url}`, { route });
+        }
+      }
+    }
+
+    // 授权有效期范围
+    const timeout = route.timeoutSeconds;
+    if (timeout === undefined || timeout < this.minTimeoutSeconds || timeout > this.maxTimeoutSeconds) {
+      return new SpendingPolicyError('timeout_out_of_range',
+        `Route timeoutSeconds ${timeout} is outside ${this.minTimeoutSeconds}-${this.maxTimeoutSeconds}`,
+        { route });
+    }
+
+    return null;
+  }
+
+  /**
+   * 检查并记录消费（同步完成，保证并发签名时预算检查的原子性）
+   * @returns {Object} 消费记录，可传给 release() 撤销
+   * @throws {SpendingPolicyError}
+   */
+  authorize(route, context = {}) {
+    const error = this.evaluate(route, context);
+    if (error) {
+      throw error;
+    }
+
+    const spend = {
+      keys: this.tokenKeys(route),
+      amount: BigInt(route.amount),
+      at: Date.now()
+    };
+    this.spends.push(spend);
+    this.saveSpends();
+    return spend;
+  }
+
+  /**
+   * 按实际收费调整一笔消费（upto 支付授权的是最大金额）
+   */
+  adjust(spend, amount) {
+    const charged = BigInt(amount);
+    if (charged < spend.amount) {
+      spend.amount = charged;
+      this.saveSpends();
+    }
+  }
+
+  /**
+   * 撤销一笔消费（例如服务端拒绝了该支付）
+   */
+  release(spend) {
+    this.spends = this.spends.filter(s => s !== spend);
+    this.saveSpends();
+  }
+}
+
+module.exports = SpendingPolicy;
+module.exports.SpendingPolicyError = SpendingPolicyError;
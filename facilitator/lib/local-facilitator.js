@@ -0,0 +1,425 @@
+const { ethers } = require('ethers');
+
+// v1 网络名 -> chainId（Facilitator 协议使用网络名而非 CAIP-2）
+const DEFAULT_NETWORKS = {
+  'base-sepolia': 84532,
+  'base': 8453,
+  'dailyledger': 1337
+};
+
+const EIP3009_FIELDS = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'validAfter', type: 'uint256' },
+  { name: 'validBefore', type: 'uint256' },
+  { name: 'nonce', type: 'bytes32' }
+];
+
+// DailyLedger 的 TransferWithAuthorization（带 memo）
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [...EIP3009_FIELDS, { name: 'memo', type: 'string' }]
+};
+
+// extra.authorizationType -> EIP-712 类型（未指定时按带 memo 的变体处理）
+// receive 在链上要求由收款方提交，这里仅模拟记账
+const AUTHORIZATION_TYPES = {
+  transferWithMemo: TRANSFER_WITH_AUTHORIZATION_TYPES,
+  transfer: { TransferWithAuthorization: EIP3009_FIELDS },
+  receive: { ReceiveWithAuthorization: EIP3009_FIELDS }
+};
+
+// permit 方案：EIP-2612 Permit 与 Permit2 PermitTransferFrom（仅模拟记账，不会提交 permit）
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const PERMIT_TYPES = {
+  eip2612: {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  permit2: {
+    PermitTransferFrom: [
+      { name: 'permitted', type: 'TokenPermissions' },
+      { name: 'spender', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    TokenPermissions: [
+      { name: 'token', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ]
+  }
+};
+
+// upto：permit 签名授权最大金额，结算时只转出 settlementAmount（按用量计费）
+const SUPPORTED_SCHEMES = ['exact', 'permit', 'upto'];
+const PERMIT_SCHEMES = ['permit', 'upto'];
+
+/**
+ * 本地 Facilitator（离线替身）
+ * 接收与 X402Middleware 相同的 v1 载荷，在内存中完成验证与结算
+ */
+class LocalFacilitator {
+  constructor(config = {}) {
+    this.networks = { ...DEFAULT_NETWORKS, ...(config.networks || {}) };
+    this.defaultBalance = BigInt(config.defaultBalance || '0');
+    this.balances = new Map();
+    this.usedNonces = new Set();
+    this.settlements = [];
+  }
+
+  /**
+   * 解析网络名对应的 chainId，支持 v1 网络名和 CAIP-2 (eip155:N)
+   */
+  resolveChainId(network) {
+    if (!network || typeof network !== 'string') {
+      return null;
+    }
+
+    if (this.networks[network] !== undefined) {
+      return Number(this.networks[network]);
+    }
+
+    const parts = network.split(':');
+    if (parts.length === 2 && parts[0] === 'eip155' && /^\d+$/.test(parts[1])) {
+      return parseInt(parts[1]);
+    }
+
+    return null;
+  }
+
+  /**
+   * /supported 响应
+   */
+  getSupported() {
+    const kinds = [];
+    SUPPORTED_SCHEMES.forEach(scheme => {
+      Object.keys(this.networks).forEach(network => {
+        kinds.push({ x402Version: 1, scheme: scheme, network: network });
+      });
+    });
+    return { kinds };
+  }
+
+  /**
+   * 查询余额（最小单位）
+   */
+  getBalance(asset, address) {
+    const key = `${asset.toLowerCase()}:${address.toLowerCase()}`;
+    return this.balances.has(key) ? this.balances.get(key) : this.defaultBalance;
+  }
+
+  setBalance(asset, address, amount) {
+    const key = `${asset.toLowerCase()}:${address.toLowerCase()}`;
+    this.balances.set(key, BigInt(amount));
+  }
+
+  nonceKey(asset, from, nonce) {
+    return `${asset.toLowerCase()}:${from.toLowerCase()}:${nonce.toString().toLowerCase()}`;
+  }
+
+  /**
+   * 取出载荷中的转账字段 { from, to, value, nonce, validAfter, validBefore, memo }
+   * permit / upto 方案由 permit（owner / deadline）与转账目标 to 组成
+   */
+  getTransfer(paymentPayload) {
+    const payload = paymentPayload?.payload;
+    if (!payload) {
+      return null;
+    }
+
+    if (PERMIT_SCHEMES.includes(paymentPayload.scheme)) {
+      if (!payload.permit) {
+        return null;
+      }
+      return {
+        from: payload.permit.owner,
+        to: payload.to,
+        value: payload.permit.value,
+        nonce: payload.permit.nonce,
+        validAfter: '0',
+        validBefore: payload.permit.deadline
+      };
+    }
+
+    return payload.authorization || null;
+  }
+
+  /**
+   * 验证 v1 支付载荷
+   * @returns {{isValid: boolean, invalidReason?: string, payer?: string}}
+   */
+  verify(body) {
+    const { paymentPayload, paymentRequirements } = body || {};
+    const authorization = this.getTransfer(paymentPayload);
+    const signature = paymentPayload?.payload?.signature;
+    const payer = authorization?.from;
+
+    const invalid = (reason) => ({ isValid: false, invalidReason: reason, payer: payer });
+
+    if (!paymentPayload || !paymentRequirements || !authorization || !signature) {
+      return invalid('invalid_payload');
+    }
+
+    const scheme = paymentPayload.scheme;
+    if (!SUPPORTED_SCHEMES.includes(scheme) || paymentRequirements.scheme !== scheme) {
+      return invalid('unsupported_scheme');
+    }
+    // 拒绝原因按方案区分，例如 invalid_exact_evm_payload_signature / invalid_permit_evm_payload_signature
+    const prefix = `invalid_${scheme}_evm_payload`;
+
+    if (paymentPayload.network !== paymentRequirements.network) {
+      return invalid('invalid_network');
+    }
+
+    const chainId = this.resolveChainId(paymentRequirements.network);
+    if (chainId === null) {
+      return invalid('invalid_network');
+    }
+
+    const { asset, payTo, maxAmountRequired, extra = {} } = paymentRequirements;
+    if (!ethers.isAddress(asset) || !ethers.isAddress(payTo) || !ethers.isAddress(authorization.from)) {
+      return invalid('invalid_payload');
+    }
+
+    if (!ethers.isAddress(authorization.to) ||
+        authorization.to.toLowerCase() !== payTo.toLowerCase()) {
+      return invalid(`${prefix}_recipient_mismatch`);
+    }
+
+    let value;
+    let validAfter;
+    let validBefore;
+    try {
+      value = BigInt(authorization.value);
+      validAfter = BigInt(authorization.validAfter);
+      validBefore = BigInt(authorization.validBefore);
+      if (value < BigInt(maxAmountRequired)) {
+        return invalid(`${prefix}_authorization_value`);
+      }
+    } catch (error) {
+      return invalid('invalid_payload');
+    }
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (validAfter > now) {
+      return invalid(`${prefix}_authorization_valid_after`);
+    }
+    if (validBefore <= now) {
+      return invalid(`${prefix}_authorization_valid_before`);
+    }
+
+    // exact 的 nonce 为 bytes32，permit / upto 的 nonce 为 uint256
+    const nonceValid = PERMIT_SCHEMES.includes(scheme)
+      ? /^\d+$/.test(authorization.nonce.toString())
+      : ethers.isHexString(authorization.nonce, 32);
+    if (!nonceValid) {
+      return invalid('invalid_payload');
+    }
+    if (this.usedNonces.has(this.nonceKey(asset, authorization.from, authorization.nonce))) {
+      return invalid(`${prefix}_authorization_nonce_used`);
+    }
+
+    let typedData;
+    if (PERMIT_SCHEMES.includes(scheme)) {
+      const permit = paymentPayload.payload.permit;
+      if (!extra.spender || !ethers.isAddress(permit.spender) ||
+          permit.spender.toLowerCase() !== extra.spender.toLowerCase()) {
+        return invalid(`${prefix}_spender_mismatch`);
+      }
+      typedData = this.buildPermitTypedData(paymentPayload.payload, paymentRequirements, chainId);
+    } else {
+      typedData = this.buildAuthorizationTypedData(authorization, paymentRequirements, chainId);
+    }
+    if (!typedData) {
+      return invalid('invalid_payload');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+    } catch (error) {
+      return invalid(`${prefix}_signature`);
+    }
+    if (signer.toLowerCase() !== authorization.from.toLowerCase()) {
+      return invalid(`${prefix}_signature`);
+    }
+
+    // DailyLedger 允许负余额，其余 token 需检查余额
+    if (extra.allowNegativeBalance !== true && this.getBalance(asset, authorization.from) < value) {
+      return invalid('insufficient_funds');
+    }
+
+    return { isValid: true, payer: authorization.from };
+  }
+
+  /**
+   * exact 方案的 EIP-712 数据：使用 extra 中的域参数（仅带 memo 的变体 memo 参与签名）
+   */
+  buildAuthorizationTypedData(authorization, paymentRequirements, chainId) {
+    const extra = paymentRequirements.extra || {};
+    const types = AUTHORIZATION_TYPES[extra.authorizationType || 'transferWithMemo'];
+    if (!types) {
+      return null;
+    }
+
+    const message = {
+      from: authorization.from,
+      to: authorization.to,
+      value: authorization.value,
+      validAfter: authorization.validAfter,
+      validBefore: authorization.validBefore,
+      nonce: authorization.nonce
+    };
+    if (types === TRANSFER_WITH_AUTHORIZATION_TYPES) {
+      message.memo = authorization.memo || '';
+    }
+
+    return {
+      domain: {
+        name: extra.name,
+        version: extra.version,
+        chainId: chainId,
+        verifyingContract: paymentRequirements.asset
+      },
+      types: types,
+      message: message
+    };
+  }
+
+  /**
+   * permit 方案的 EIP-712 数据
+   * eip2612 使用代币自身的域；permit2 使用 Permit2 合约的域
+   */
+  buildPermitTypedData(payload, paymentRequirements, chainId) {
+    const extra = paymentRequirements.extra || {};
+    const permit = payload.permit;
+    const types = PERMIT_TYPES[payload.permitType];
+    if (!types || payload.permitType !== extra.permitType) {
+      return null;
+    }
+
+    if (payload.permitType === 'permit2') {
+      return {
+        domain: {
+          name: 'Permit2',
+          chainId: chainId,
+          verifyingContract: extra.permit2Address || PERMIT2_ADDRESS
+        },
+        types: types,
+        message: {
+          permitted: { token: paymentRequirements.asset, amount: permit.value },
+          spender: permit.spender,
+          nonce: permit.nonce,
+          deadline: permit.deadline
+        }
+      };
+    }
+
+    return {
+      domain: {
+        name: extra.name,
+        version: extra.version,
+        chainId: chainId,
+        verifyingContract: paymentRequirements.asset
+      },
+      types: types,
+      message: {
+        owner: permit.owner,
+        spender: permit.spender,
+        value: permit.value,
+        nonce: permit.nonce,
+        deadline: permit.deadline
+      }
+    };
+  }
+
+  /**
+   * 结算 v1 支付载荷：重新验证、消耗 nonce 并记账
+   * upto 方案按 body.settlementAmount 转账（不超过授权的最大金额）
+   * @returns {{success: boolean, errorReason?: string, transaction: string, network: string, payer?: string}}
+   */
+  settle(body) {
+    const network = body?.paymentRequirements?.network;
+    const verification = this.verify(body);
+
+    if (!verification.isValid) {
+      return {
+        success: false,
+        errorReason: verification.invalidReason,
+        transaction: '',
+        network: network,
+        payer: verification.payer
+      };
+    }
+
+    const { paymentPayload, paymentRequirements } = body;
+    const authorization = this.getTransfer(paymentPayload);
+    const signature = paymentPayload.payload.signature;
+    const asset = paymentRequirements.asset;
+
+    let value = BigInt(authorization.value);
+    if (paymentPayload.scheme === 'upto') {
+      let amount;
+      try {
+        amount = BigInt(body.settlementAmount);
+      } catch (error) {
+        amount = -1n;
+      }
+      if (amount < 0n || amount > value) {
+        return {
+          success: false,
+          errorReason: 'invalid_upto_settlement_amount',
+          transaction: '',
+          network: network,
+          payer: authorization.from
+        };
+      }
+      value = amount;
+    }
+
+    this.usedNonces.add(this.nonceKey(asset, authorization.from, authorization.nonce));
+    this.setBalance(asset, authorization.from, this.getBalance(asset, authorization.from) - value);
+    this.setBalance(asset, authorization.to, this.getBalance(asset, authorization.to) + value);
+
+    // 模拟交易哈希：由授权内容与签名确定性生成
+    const transaction = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address', 'address', 'address', 'uint256', 'bytes32', 'bytes'],
+      [asset, authorization.from, authorization.to, value, ethers.toBeHex(BigInt(authorization.nonce), 32), signature]
+    ));
+
+    this.settlements.push({
+      transaction: transaction,
+      network: network,
+      asset: asset,
+      from: authorization.from,
+      to: authorization.to,
+      value: value.toString(),
+      maxValue: authorization.value.toString(),
+      scheme: paymentPayload.scheme,
+      nonce: authorization.nonce.toString(),
+      memo: authorization.memo,
+      settledAt: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      transaction: transaction,
+      transactionHash: transaction,
+      network: network,
+      payer: authorization.from,
+      amount: value.toString()
+    };
+  }
+}
+
+module.exports = LocalFacilitator;
+module.exports.DEFAULT_NETWORKS = DEFAULT_NETWORKS;
+module.exports.TRANSFER_WITH_AUTHORIZATION_TYPES = TRANSFER_WITH_AUTHORIZATION_TYPES;
+module.exports.AUTHORIZATION_TYPES = AUTHORIZATION_TYPES;
+module.exports.PERMIT_TYPES = PERMIT_TYPES;
@@ -0,0 +1,76 @@
+require('dotenv').config();
+const express = require('express');
+const LocalFacilitator = require('./lib/local-facilitator');
+
+const app = express();
+const PORT = process.env.PORT || 8080;
+
+app.use(express.json());
+
+/**
+ * 解析 NETWORKS 配置，格式: base-sepolia=84532,dailyledger=1337
+ */
+function parseNetworks(value) {
+  const networks = {};
+  if (!value) {
+    return networks;
+  }
+
+  value.split(',').forEach(entry => {
+    const [name, chainId] = entry.split('=').map(s => s.trim());
+    if (name && chainId) {
+      networks[name] = parseInt(chainId);
+    }
+  });
+
+  return networks;
+}
+
+const facilitator = new LocalFacilitator({
+  networks: parseNetworks(process.env.NETWORKS),
+  defaultBalance: process.env.DEFAULT_BALANCE || '1000000000'
+});
+
+// 验证支付签名
+app.post('/verify', (req, res) => {
+  const result = facilitator.verify(req.body);
+  console.log(`🔍 /verify ${result.isValid ? '✅ valid' : `❌ ${result.invalidReason}`} (payer: ${result.payer})`);
+  res.json(result);
+});
+
+// 结算支付（模拟上链）
+app.post('/settle', (req, res) => {
+  const result = facilitator.settle(req.body);
+  if (result.success) {
+    console.log(`⚡ /settle ✅ tx=${result.transaction} (payer: ${result.payer})`);
+  } else {
+    console.log(`⚡ /settle ❌ ${result.errorReason} (payer: ${result.payer})`);
+  }
+  res.json(result);
+});
+
+// 支持的 scheme / network
+app.get('/supported', (req, res) => {
+  res.json(facilitator.getSupported());
+});
+
+// 已结算记录（调试用）
+app.get('/settlements', (req, res) => {
+  res.json({ settlements: facilitator.settlements });
+});
+
+app.listen(PORT, () => {
+  console.log('\n🧪 x402 Local Facilitator Started\n');
+  console.log(`📡 Server: http://localhost:${PORT}`);
+  console.log(`💰 Default balance: ${facilitator.defaultBalance.toString()}`);
+  console.log('🌐 Networks:');
+  Object.entries(facilitator.networks).forEach(([name, chainId]) => {
+    console.log(`   - ${name} (eip155:${chainId})`);
+  });
+  console.log('\n⚠️  Settlements are simulated in memory, nothing is sent on-chain.\n');
+});
+
+process.on('SIGINT', () => {
+  console.log('\n\n👋 Shutting down gracefully...');
+  process.exit(0);
+});
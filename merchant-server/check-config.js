@@ -16,43 +16,78 @@ console.log(`  CONTRACT_TYPE: ${contractType}`);
 console.log(`  CURRENCY_ADDRESS: ${process.env.CURRENCY_ADDRESS}`);
 console.log(`  DAILYLEDGER_ADDRESS: ${process.env.DAILYLEDGER_ADDRESS}`);
 console.log(`  USDC_ADDRESS: ${process.env.USDC_ADDRESS}`);
+console.log(`  NETWORKS_CONFIG: ${process.env.NETWORKS_CONFIG || 'config/networks.json'}`);
 console.log();
 
 // 模拟 middleware 构造
 const X402Middleware = require('./middleware/x402');
+const NetworkRegistry = require('./lib/network-registry');
+
+const facilitatorUrl = process.env.FACILITATOR_URL || 'http://localhost:8080';
+
+// 网络注册表：CAIP-2 -> Facilitator 网络名（与 server.js 相同）
+const networkRegistry = NetworkRegistry.fromFile(
+  process.env.NETWORKS_CONFIG || undefined,
+  [{ url: facilitatorUrl }]
+);
+
+const token = contractType === 'USDC'
+  ? {
+    contractType: 'USDC',
+    address: process.env.USDC_ADDRESS,
+    chainId: parseInt(process.env.USDC_CHAIN_ID || '84532'),
+    domainName: 'USD Coin',
+    domainVersion: '2',
+    explorerUrl: process.env.USDC_EXPLORER_URL
+  }
+  : {
+    contractType: 'DailyLedger',
+    address: process.env.DAILYLEDGER_ADDRESS || process.env.CURRENCY_ADDRESS,
+    chainId: parseInt(process.env.DAILYLEDGER_CHAIN_ID || '1337'),
+    domainName: 'DailyLedger',
+    domainVersion: '1',
+    explorerUrl: process.env.DAILYLEDGER_EXPLORER_URL
+  };
+
+const caip2Network = `eip155:${token.chainId}`;
+if (!networkRegistry.has(caip2Network)) {
+  console.log(`❌ 错误：网络 ${caip2Network} 未在网络注册表中配置（config/networks.json）`);
+  process.exit(1);
+}
 
 const config = {
-  facilitatorUrl: process.env.FACILITATOR_URL || 'http://localhost:8080',
-  network: process.env.NETWORK || 'base-sepolia',
+  facilitatorUrl: facilitatorUrl,
   payToAddress: process.env.PAY_TO_ADDRESS,
   pricePerRequest: parseFloat(process.env.PRICE_PER_REQUEST || '0.01'),
-  currency: 'USDC',
-  currencyAddress: process.env.CURRENCY_ADDRESS,
-  contractType: contractType,
-  scheme: 'exact',
-  chainId: parseInt(process.env.CHAIN_ID || '1337'),
-  explorerUrl: process.env.EXPLORER_URL
+  supportedTokens: [token],
+  networkRegistry: networkRegistry,
+  // 只检查配置，不做定期健康检查
+  facilitatorFailover: { healthCheckIntervalMs: 0 }
 };
 
 const middleware = new X402Middleware(config);
+const route = middleware.buildAccepts(middleware.resolveRouteConfig(), '/')[0];
 
 console.log('Middleware 配置:');
-console.log(`  contractType: ${middleware.contractType}`);
-console.log(`  domainName: ${middleware.domainName}`);
-console.log(`  domainVersion: ${middleware.domainVersion}`);
-console.log(`  currencyAddress: ${middleware.currencyAddress}`);
-console.log(`  chainId: ${middleware.chainId}`);
-console.log(`  explorerUrl: ${middleware.explorerUrl}`);
+console.log(`  contractType: ${route.meta.contractType}`);
+console.log(`  domainName: ${route.meta.domainName}`);
+console.log(`  domainVersion: ${route.meta.domainVersion}`);
+console.log(`  currencyAddress: ${route.asset}`);
+console.log(`  chainId: ${token.chainId}`);
+console.log(`  network: ${route.network} -> ${networkRegistry.toFacilitatorNetwork(route.network)}`);
+console.log(`  facilitators: ${networkRegistry.getFacilitatorsFor(route.network).join(', ')}`);
+console.log(`  explorerUrl: ${route.meta.explorerUrl}`);
 console.log();
 
 // 模拟生成 contractMetadata 字段（发送给客户端）
 const contractMetadata = {
-  domainName: middleware.domainName,
-  domainVersion: middleware.domainVersion,
-  chainId: middleware.chainId,
-  verifyingContract: middleware.currencyAddress,
-  contractType: middleware.contractType,
-  explorerUrl: middleware.explorerUrl
+  domainName: route.meta.domainName,
+  domainVersion: route.meta.domainVersion,
+  chainId: token.chainId,
+  verifyingContract: route.asset,
+  contractType: route.meta.contractType,
+  explorerUrl: route.meta.explorerUrl,
+  caip2Network: route.network
 };
 
 console.log('发送给客户端的 contractMetadata 字段:');
@@ -61,10 +96,10 @@ console.log();
 
 // 模拟生成 extra 字段（发送给协调器）
 const extra = {
-  name: middleware.domainName,
-  version: middleware.domainVersion,
-  contractType: middleware.contractType,
-  allowNegativeBalance: middleware.contractType === 'DailyLedger' ? true : false
+  name: route.meta.domainName,
+  version: route.meta.domainVersion,
+  contractType: route.meta.contractType,
+  allowNegativeBalance: route.meta.contractType === 'DailyLedger' ? true : false
 };
 
 console.log('发送给协调器的 extra 字段:');
@@ -79,8 +114,8 @@ console.log();
 
 if (contractType === 'DailyLedger') {
   console.log('✅ 合约类型: DailyLedger');
-  console.log(`✅ Domain Name: ${middleware.domainName === 'DailyLedger' ? middleware.domainName : '❌ 错误'}`);
-  console.log(`✅ Domain Version: ${middleware.domainVersion === '1' ? middleware.domainVersion : '❌ 错误'}`);
+  console.log(`✅ Domain Name: ${route.meta.domainName === 'DailyLedger' ? route.meta.domainName : '❌ 错误'}`);
+  console.log(`✅ Domain Version: ${route.meta.domainVersion === '1' ? route.meta.domainVersion : '❌ 错误'}`);
   console.log(`✅ allowNegativeBalance: ${extra.allowNegativeBalance === true ? 'true' : '❌ false（错误！）'}`);
 
   if (extra.allowNegativeBalance !== true) {
@@ -91,8 +126,8 @@ if (contractType === 'DailyLedger') {
   }
 } else if (contractType === 'USDC') {
   console.log('✅ 合约类型: USDC');
-  console.log(`✅ Domain Name: ${middleware.domainName === 'USD Coin' ? middleware.domainName : '❌ 错误'}`);
-  console.log(`✅ Domain Version: ${middleware.domainVersion === '2' ? middleware.domainVersion : '❌ 错误'}`);
+  console.log(`✅ Domain Name: ${route.meta.domainName === 'USD Coin' ? route.meta.domainName : '❌ 错误'}`);
+  console.log(`✅ Domain Version: ${route.meta.domainVersion === '2' ? route.meta.domainVersion : '❌ 错误'}`);
   console.log(`✅ allowNegativeBalance: ${extra.allowNegativeBalance === false ? 'false' : '❌ true（错误！）'}`);
 }
 
@@ -100,3 +135,7 @@ console.log();
 console.log('='.repeat(70));
 console.log('✅ 配置检查通过！可以启动测试。');
 console.log('='.repeat(70));
+
+// 不等待启动时的 /supported 健康检查
+middleware.facilitators.stop();
+process.exit(0);
@@ -0,0 +1,57 @@
+/**
+ * EIP-3009 授权签名的 EIP-712 类型定义
+ *   - transferWithMemo: DailyLedger 自定义 TransferWithAuthorization（带 memo）
+ *   - transfer:         标准 EIP-3009 TransferWithAuthorization（USDC 等）
+ *   - receive:          标准 EIP-3009 ReceiveWithAuthorization
+ */
+const EIP3009_FIELDS = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'validAfter', type: 'uint256' },
+  { name: 'validBefore', type: 'uint256' },
+  { name: 'nonce', type: 'bytes32' }
+];
+
+const AUTHORIZATION_TYPES = {
+  transferWithMemo: {
+    primaryType: 'TransferWithAuthorization',
+    memo: true,
+    types: {
+      TransferWithAuthorization: [...EIP3009_FIELDS, { name: 'memo', type: 'string' }]
+    }
+  },
+  transfer: {
+    primaryType: 'TransferWithAuthorization',
+    memo: false,
+    types: {
+      TransferWithAuthorization: EIP3009_FIELDS
+    }
+  },
+  receive: {
+    primaryType: 'ReceiveWithAuthorization',
+    memo: false,
+    types: {
+      ReceiveWithAuthorization: EIP3009_FIELDS
+    }
+  }
+};
+
+/**
+ * 确定 token 使用的授权类型：显式配置优先，否则 DailyLedger 使用带 memo 的变体，其余使用标准 EIP-3009
+ */
+function resolveAuthorizationType(token) {
+  const authorizationType = token.authorizationType ||
+    (token.contractType === 'DailyLedger' ? 'transferWithMemo' : 'transfer');
+
+  if (!AUTHORIZATION_TYPES[authorizationType]) {
+    throw new Error(`Unknown authorizationType "${authorizationType}" (expected one of: ${Object.keys(AUTHORIZATION_TYPES).join(', ')})`);
+  }
+
+  return authorizationType;
+}
+
+module.exports = {
+  AUTHORIZATION_TYPES,
+  resolveAuthorizationType
+};
@@ -0,0 +1,242 @@
+/**
+ * 多 Facilitator 故障转移
+ * 每个 Facilitator 一个熔断器：连续失败达到阈值后熔断（open），冷却后只放行一个试探请求（half-open），
+ * 成功则恢复（closed）。后台定期用 /supported 做健康检查，熔断的 Facilitator 恢复后自动重新启用。
+ *
+ * 状态：closed（可用）| open（熔断）| half-open（冷却结束，等待试探）
+ * 查询方法（getState / isAvailable / getCandidates / getStatus）不修改熔断器状态
+ */
+class FacilitatorPool {
+  /**
+   * @param {Object} config
+   * @param {NetworkRegistry} config.networkRegistry - 提供 Facilitator 列表及其支持的网络
+   * @param {Function} config.probe - async (url) => /supported 响应，用于健康检查
+   * @param {number} [config.failureThreshold] - 连续失败多少次后熔断
+   * @param {number} [config.resetTimeoutMs] - 熔断后多久允许试探
+   * @param {number} [config.healthCheckIntervalMs] - 健康检查间隔，0 表示不做后台检查
+   */
+  constructor(config) {
+    this.networkRegistry = config.networkRegistry;
+    this.probe = config.probe;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeoutMs = config.resetTimeoutMs || 30000;
+    this.healthCheckIntervalMs = config.healthCheckIntervalMs !== undefined ? config.healthCheckIntervalMs : 30000;
+
+    this.breakers = new Map();
+    this.networkRegistry.facilitators.forEach(facilitator => {
+      this.breakers.set(facilitator.url, {
+        url: facilitator.url,
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        lastError: null,
+        lastCheckedAt: null,
+        supported: null,
+        // half-open 时是否已有试探请求在进行
+        trialInFlight: false
+      });
+    });
+
+    this.timer = null;
+  }
+
+  /**
+   * 立即做一次健康检查，并按间隔定期检查
+   */
+  start() {
+    this.checkHealth();
+
+    if (this.healthCheckIntervalMs > 0) {
+      this.timer = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 对所有 Facilitator 调用 /supported，结果计入熔断器
+   */
+  async checkHealth() {
+    await Promise.all([...this.breakers.values()].map(async (breaker) => {
+      try {
+        breaker.supported = await this.probe(breaker.url);
+        this.recordSuccess(breaker.url);
+      } catch (error) {
+        this.recordFailure(breaker.url, error);
+      } finally {
+        breaker.lastCheckedAt = new Date().toISOString();
+      }
+    }));
+  }
+
+  /**
+   * 熔断器当前状态：open 冷却结束后视为 half-open
+   */
+  getState(url) {
+    const breaker = this.breakers.get(url);
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.resetTimeoutMs) {
+      return 'half-open';
+    }
+    return breaker.state;
+  }
+
+  /**
+   * 熔断器是否放行请求：closed，或 half-open 且没有进行中的试探
+   */
+  isAvailable(url) {
+    const state = this.getState(url);
+    return state === 'closed' || (state === 'half-open' && !this.breakers.get(url).trialInFlight);
+  }
+
+  /**
+   * 占用一次请求资格；half-open 时标记试探进行中，结果返回前不再放行其他请求
+   */
+  acquire(url) {
+    if (!this.isAvailable(url)) {
+      return false;
+    }
+
+    if (this.getState(url) === 'half-open') {
+      const breaker = this.breakers.get(url);
+      breaker.state = 'half-open';
+      breaker.trialInFlight = true;
+    }
+    return true;
+  }
+
+  /**
+   * 支持该网络且未熔断的 Facilitator，按配置顺序排列，健康的优先于试探中的
+   */
+  getCandidates(network) {
+    const available = this.networkRegistry.getFacilitatorsFor(network)
+      .filter(url => this.isAvailable(url));
+
+    return [
+      ...available.filter(url => this.getState(url) === 'closed'),
+      ...available.filter(url => this.getState(url) === 'half-open')
+    ];
+  }
+
+  /**
+   * 依次在可用的 Facilitator 上执行请求，网络错误、超时和 5xx 时转到下一个
+   * 4xx 是 Facilitator 对请求本身的明确回答，不转移也不计入失败
+   * @param {string|number} network - CAIP-2 或 chainId
+   * @param {Function} request - async (url) => 结果
+   * @param {Object} [options]
+   * @param {boolean} [options.failoverOnTimeout] - 超时后是否转到下一个（默认 true）；
+   *   超时的请求可能已被处理（如已提交结算），重复提交不安全时传 false
+   */
+  async execute(network, request, options = {}) {
+    const failoverOnTimeout = options.failoverOnTimeout !== false;
+    const candidates = this.getCandidates(network);
+    if (candidates.length === 0) {
+      throw this.unavailableError(network);
+    }
+
+    let lastError;
+    for (const url of candidates) {
+      // 等待前一个候选期间，该 Facilitator 可能已被熔断或已有其他试探请求
+      if (!this.acquire(url)) {
+        continue;
+      }
+
+      try {
+        const result = await request(url);
+        this.recordSuccess(url);
+        return result;
+      } catch (error) {
+        if (!this.isFailover(error)) {
+          this.recordSuccess(url);
+          throw error;
+        }
+
+        lastError = error;
+        this.recordFailure(url, error);
+        if (!failoverOnTimeout && this.isTimeout(error)) {
+          throw error;
+        }
+        console.warn(`Facilitator ${url} failed (${error.message}), trying next`);
+      }
+    }
+
+    throw lastError || this.unavailableError(network);
+  }
+
+  unavailableError(network) {
+    const error = new Error(`No available facilitator for network ${network}: all circuit breakers are open`);
+    // 熔断是暂时的，结算队列据此稍后重试
+    error.code = 'FACILITATOR_UNAVAILABLE';
+    return error;
+  }
+
+  /**
+   * 网络错误、超时和 5xx 视为 Facilitator 故障
+   */
+  isFailover(error) {
+    if (!error.response) {
+      return true;
+    }
+    return error.response.status >= 500;
+  }
+
+  isTimeout(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+  }
+
+  recordSuccess(url) {
+    const breaker = this.breakers.get(url);
+    if (breaker.state !== 'closed') {
+      console.log(`Facilitator ${url} recovered`);
+    }
+
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.lastError = null;
+    breaker.trialInFlight = false;
+  }
+
+  /**
+   * 记录一次失败：达到阈值或试探失败时熔断
+   */
+  recordFailure(url, error) {
+    const breaker = this.breakers.get(url);
+    breaker.failures += 1;
+    breaker.lastError = error.message;
+    breaker.trialInFlight = false;
+
+    if (breaker.state === 'half-open' || breaker.failures >= this.failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.warn(`Facilitator ${url} circuit opened after ${breaker.failures} failure(s)`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * 各 Facilitator 的熔断状态（用于 /health）
+   */
+  getStatus() {
+    return this.networkRegistry.describeFacilitators().map(facilitator => {
+      const breaker = this.breakers.get(facilitator.url);
+      return {
+        url: facilitator.url,
+        networks: facilitator.networks,
+        state: this.getState(facilitator.url),
+        available: this.isAvailable(facilitator.url),
+        failures: breaker.failures,
+        lastError: breaker.lastError,
+        lastCheckedAt: breaker.lastCheckedAt,
+        supported: breaker.supported
+      };
+    });
+  }
+}
+
+module.exports = FacilitatorPool;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'networks.json');
+
+/**
+ * CAIP-2 网络注册表
+ * 将 eip155:{chainId} 映射到 Facilitator 使用的 v1 网络名，并记录各 Facilitator 支持的网络
+ */
+class NetworkRegistry {
+  /**
+   * @param {Object} config
+   * @param {Object<string, string>} config.networks - CAIP-2 -> Facilitator 网络名
+   * @param {Array<{url: string, networks?: string[]}>} [config.facilitators] - 未列出 networks 时视为支持全部网络
+   */
+  constructor(config = {}) {
+    this.networks = {};
+    Object.entries(config.networks || {}).forEach(([caip2, name]) => {
+      this.networks[NetworkRegistry.toCAIP2(caip2)] = name;
+    });
+
+    this.facilitators = (config.facilitators || []).map(facilitator => ({
+      url: facilitator.url,
+      networks: facilitator.networks
+        ? facilitator.networks.map(network => NetworkRegistry.toCAIP2(network))
+        : Object.keys(this.networks)
+    }));
+  }
+
+  /**
+   * 从 JSON 配置文件加载（默认 config/networks.json）
+   */
+  static fromFile(filePath = DEFAULT_CONFIG_PATH, facilitators = []) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return new NetworkRegistry({
+      networks: config.networks,
+      facilitators: config.facilitators || facilitators
+    });
+  }
+
+  /**
+   * 规范化为 CAIP-2 格式：1337 / "1337" / "eip155:1337" -> "eip155:1337"
+   */
+  static toCAIP2(network) {
+    const value = network.toString();
+    return value.includes(':') ? value : `eip155:${value}`;
+  }
+
+  /**
+   * 是否已注册该网络
+   */
+  has(network) {
+    return this.networks[NetworkRegistry.toCAIP2(network)] !== undefined;
+  }
+
+  /**
+   * CAIP-2 -> Facilitator 网络名，未注册时抛出错误
+   */
+  toFacilitatorNetwork(network) {
+    const caip2 = NetworkRegistry.toCAIP2(network);
+    const name = this.networks[caip2];
+
+    if (name === undefined) {
+      throw new Error(`Unknown network ${caip2}: add it to the network registry (config/networks.json)`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Facilitator 网络名 -> CAIP-2，未注册时返回 null
+   */
+  fromFacilitatorNetwork(name) {
+    const entry = Object.entries(this.networks).find(([, networkName]) => networkName === name);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 返回支持该网络的 Facilitator URL 列表
+   */
+  getFacilitatorsFor(network) {
+    const caip2 = NetworkRegistry.toCAIP2(network);
+    return this.facilitators
+      .filter(facilitator => facilitator.networks.includes(caip2))
+      .map(facilitator => facilitator.url);
+  }
+
+  /**
+   * 各 Facilitator 支持的网络（可限定为部分网络，用于 402 响应的 facilitators 字段）
+   */
+  describeFacilitators(networks = null) {
+    const wanted = networks ? networks.map(network => NetworkRegistry.toCAIP2(network)) : null;
+
+    return this.facilitators
+      .map(facilitator => ({
+        url: facilitator.url,
+        networks: wanted
+          ? facilitator.networks.filter(network => wanted.includes(network))
+          : facilitator.networks
+      }))
+      .filter(facilitator => facilitator.networks.length > 0);
+  }
+}
+
+module.exports = NetworkRegistry;
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 已使用授权 (from, nonce, asset) 的存储接口
+ * 在验证阶段标记授权为已消耗，用于拒绝重放；条目在 validBefore 之后过期
+ *
+ * 实现需提供：
+ *   - consume(authorization, expiresAt) -> Promise<boolean>  首次消耗返回 true，重放返回 false
+ *   - release(authorization) -> Promise<void>                  验证失败时撤销标记
+ *   - has(authorization) -> Promise<boolean>
+ */
+class NonceStore {
+  /**
+   * 生成存储键（地址与 nonce 不区分大小写）
+   */
+  static key({ from, nonce, asset }) {
+    return `${asset.toLowerCase()}:${from.toLowerCase()}:${nonce.toLowerCase()}`;
+  }
+
+  async consume(authorization, expiresAt) {
+    throw new Error('NonceStore.consume() not implemented');
+  }
+
+  async release(authorization) {
+    throw new Error('NonceStore.release() not implemented');
+  }
+
+  async has(authorization) {
+    throw new Error('NonceStore.has() not implemented');
+  }
+}
+
+/**
+ * 内存实现（进程重启后清空）
+ */
+class MemoryNonceStore extends NonceStore {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  /**
+   * 删除已过期（validBefore 之后）的条目
+   */
+  prune(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async consume(authorization, expiresAt) {
+    this.prune();
+    const key = NonceStore.key(authorization);
+
+    if (this.entries.has(key)) {
+      return false;
+    }
+
+    this.entries.set(key, expiresAt);
+    return true;
+  }
+
+  async release(authorization) {
+    this.entries.delete(NonceStore.key(authorization));
+  }
+
+  async has(authorization) {
+    this.prune();
+    return this.entries.has(NonceStore.key(authorization));
+  }
+}
+
+/**
+ * JSON 文件实现（重启后保留已消耗的授权）
+ */
+class FileNonceStore extends MemoryNonceStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    if (fs.existsSync(this.filePath)) {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      Object.entries(saved).forEach(([key, expiresAt]) => this.entries.set(key, expiresAt));
+      this.prune();
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async consume(authorization, expiresAt) {
+    const consumed = await super.consume(authorization, expiresAt);
+    if (consumed) {
+      this.persist();
+    }
+    return consumed;
+  }
+
+  async release(authorization) {
+    await super.release(authorization);
+    this.persist();
+  }
+}
+
+module.exports = {
+  NonceStore,
+  MemoryNonceStore,
+  FileNonceStore
+};
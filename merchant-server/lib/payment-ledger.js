@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CSV_COLUMNS = [
+  'id',
+  'payer',
+  'token',
+  'network',
+  'asset',
+  'amount',
+  'chargedAmount',
+  'route',
+  'resource',
+  'nonce',
+  'verification',
+  'verificationReason',
+  'settlementStatus',
+  'settlementError',
+  'transaction',
+  'explorerUrl',
+  'createdAt',
+  'verifiedAt',
+  'settledAt',
+  'updatedAt'
+];
+
+/**
+ * 支付账本（JSON 文件）
+ * 记录每笔收到的支付：付款人、token/网络、金额、资源、nonce、验证结果、结算状态、交易哈希与时间戳
+ * 修改先写入内存，最多延迟 flushIntervalMs 后合并为一次写文件；关闭前调用 flush()
+ */
+class PaymentLedger {
+  /**
+   * @param {string} filePath - 账本文件路径
+   * @param {Object} [options]
+   * @param {number} [options.flushIntervalMs] - 写文件的最大延迟，0 表示每次修改立即写入
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.flushIntervalMs = options.flushIntervalMs !== undefined ? options.flushIntervalMs : 1000;
+    this.flushTimer = null;
+    this.dirty = false;
+
+    if (fs.existsSync(this.filePath)) {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    }
+  }
+
+  /**
+   * 标记有修改并安排写入
+   */
+  persist() {
+    this.dirty = true;
+
+    if (this.flushIntervalMs === 0) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * 立即写入未保存的修改（先写临时文件再重命名）
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * 新增一条支付记录
+   */
+  create(fields) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      verification: 'pending',
+      settlementStatus: 'none',
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+
+    this.entries.push(entry);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * 更新支付记录，记录不存在时返回 null
+   */
+  update(id, patch) {
+    const entry = this.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    Object.assign(entry, patch, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * 按付款人 + nonce 查找（地址与 nonce 不区分大小写）
+   * 优先返回验证通过的那条（之后的重放尝试会记为 rejected），没有时返回最新一条
+   */
+  findByNonce(payer, nonce) {
+    const matches = this.entries.filter(entry =>
+      entry.payer && entry.nonce &&
+      entry.payer.toLowerCase() === payer.toLowerCase() &&
+      entry.nonce.toLowerCase() === nonce.toLowerCase()
+    );
+    const valid = matches.filter(entry => entry.verification === 'valid');
+    const preferred = valid.length > 0 ? valid : matches;
+    return preferred.length > 0 ? preferred[preferred.length - 1] : null;
+  }
+
+  /**
+   * 过滤支付记录
+   * @param {Object} [filters] - payer / token / network / asset / route / verification / settlementStatus / since / until
+   */
+  list(filters = {}) {
+    const equalsIgnoreCase = (a, b) => (a || '').toLowerCase() === b.toLowerCase();
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    return this.entries.filter(entry => {
+      if (filters.payer && !equalsIgnoreCase(entry.payer, filters.payer)) return false;
+      if (filters.token && !equalsIgnoreCase(entry.token, filters.token)) return false;
+      if (filters.network && entry.network !== filters.network) return false;
+      if (filters.asset && !equalsIgnoreCase(entry.asset, filters.asset)) return false;
+      if (filters.route && entry.route !== filters.route) return false;
+      if (filters.verification && entry.verification !== filters.verification) return false;
+      if (filters.settlementStatus && entry.settlementStatus !== filters.settlementStatus) return false;
+
+      const createdAt = new Date(entry.createdAt).getTime();
+      if (since !== null && createdAt < since) return false;
+      if (until !== null && createdAt > until) return false;
+
+      return true;
+    });
+  }
+
+  /**
+   * 按 token 与路由汇总收入（最小单位）
+   * settled 为已结算金额，pending 为已验证但尚未结算的金额；计量支付按实际收费（chargedAmount）计入
+   */
+  getRevenue(filters = {}) {
+    const byToken = {};
+    const byRoute = {};
+
+    const add = (groups, key, base, entry) => {
+      if (!groups[key]) {
+        groups[key] = { ...base, count: 0, settled: 0n, pending: 0n };
+      }
+      const group = groups[key];
+      const amount = BigInt((entry.chargedAmount !== undefined ? entry.chargedAmount : entry.amount) || '0');
+
+      group.count += 1;
+      if (entry.settlementStatus === 'settled') {
+        group.settled += amount;
+      } else if (entry.settlementStatus === 'pending' || entry.settlementStatus === 'retrying') {
+        group.pending += amount;
+      }
+    };
+
+    this.list(filters)
+      .filter(entry => entry.verification === 'valid')
+      .forEach(entry => {
+        add(byToken, `${entry.network}:${(entry.asset || '').toLowerCase()}`, {
+          token: entry.token,
+          network: entry.network,
+          asset: entry.asset
+        }, entry);
+        add(byRoute, entry.route, { route: entry.route }, entry);
+      });
+
+    const serialize = group => ({
+      ...group,
+      settled: group.settled.toString(),
+      pending: group.pending.toString()
+    });
+
+    return {
+      byToken: Object.values(byToken).map(serialize),
+      byRoute: Object.values(byRoute).map(serialize)
+    };
+  }
+
+  /**
+   * 导出为 CSV
+   */
+  toCSV(entries) {
+    const escape = (value) => {
+      if (value === undefined || value === null) {
+        return '';
+      }
+      const text = value.toString();
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CSV_COLUMNS.join(',')];
+    entries.forEach(entry => {
+      lines.push(CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = PaymentLedger;
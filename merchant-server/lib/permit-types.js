@@ -0,0 +1,57 @@
+/**
+ * permit 方案的 EIP-712 类型定义（用于不支持 EIP-3009 的 ERC-20）
+ *   - eip2612: 代币自身的 Permit，授权 spender（Facilitator）额度，再由其 transferFrom 到 payTo
+ *   - permit2: Uniswap Permit2 的 PermitTransferFrom，spender 直接调用 permitTransferFrom 转账到 payTo
+ */
+
+// Permit2 在各 EVM 链上的统一部署地址
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const PERMIT_TYPES = {
+  eip2612: {
+    primaryType: 'Permit',
+    types: {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    }
+  },
+  permit2: {
+    primaryType: 'PermitTransferFrom',
+    types: {
+      PermitTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ],
+      TokenPermissions: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+      ]
+    }
+  }
+};
+
+/**
+ * 确定 permit token 使用的签名类型（默认 eip2612）
+ */
+function resolvePermitType(token) {
+  const permitType = token.permitType || 'eip2612';
+
+  if (!PERMIT_TYPES[permitType]) {
+    throw new Error(`Unknown permitType "${permitType}" (expected one of: ${Object.keys(PERMIT_TYPES).join(', ')})`);
+  }
+
+  return permitType;
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  resolvePermitType
+};
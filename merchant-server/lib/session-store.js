@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 预付会话剩余次数的存储接口
+ * 令牌本身只证明会话已购买，剩余调用次数在服务端记录；条目在会话过期后删除
+ *
+ * 实现需提供：
+ *   - create(id, { remaining, expiresAt }) -> Promise<void>   remaining 为 null 表示不限次数
+ *   - consume(id) -> Promise<{remaining}|null>                  扣减一次，会话不存在、过期或用尽时返回 null
+ *   - refund(id) -> Promise<void>                               请求处理失败时退回一次
+ *   - delete(id) -> Promise<void>                               作废会话
+ */
+class SessionStore {
+  async create(id, session) {
+    throw new Error('SessionStore.create() not implemented');
+  }
+
+  async consume(id) {
+    throw new Error('SessionStore.consume() not implemented');
+  }
+
+  async refund(id) {
+    throw new Error('SessionStore.refund() not implemented');
+  }
+
+  async delete(id) {
+    throw new Error('SessionStore.delete() not implemented');
+  }
+}
+
+/**
+ * 内存实现（进程重启后清空，已发出的令牌随之失效）
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  /**
+   * 删除已过期的会话
+   */
+  prune(now = Date.now()) {
+    for (const [id, session] of this.entries) {
+      if (session.expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  async create(id, session) {
+    this.prune();
+    this.entries.set(id, { remaining: session.remaining, expiresAt: session.expiresAt });
+  }
+
+  async consume(id) {
+    this.prune();
+    const session = this.entries.get(id);
+
+    if (!session || session.remaining === 0) {
+      return null;
+    }
+
+    if (session.remaining !== null) {
+      session.remaining -= 1;
+    }
+    return { remaining: session.remaining };
+  }
+
+  async refund(id) {
+    const session = this.entries.get(id);
+    if (session && session.remaining !== null) {
+      session.remaining += 1;
+    }
+  }
+
+  async delete(id) {
+    this.entries.delete(id);
+  }
+}
+
+/**
+ * JSON 文件实现（重启后保留会话与剩余次数）
+ */
+class FileSessionStore extends MemorySessionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    if (fs.existsSync(this.filePath)) {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      Object.entries(saved).forEach(([id, session]) => this.entries.set(id, session));
+      this.prune();
+    }
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async create(id, session) {
+    await super.create(id, session);
+    this.persist();
+  }
+
+  async consume(id) {
+    const result = await super.consume(id);
+    if (result) {
+      this.persist();
+    }
+    return result;
+  }
+
+  async refund(id) {
+    await super.refund(id);
+    this.persist();
+  }
+
+  async delete(id) {
+    await super.delete(id);
+    this.persist();
+  }
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { MemorySessionStore } = require('./session-store');
+
+/**
+ * 会话令牌无效（reason 为机器可读的原因，402 响应中返回给客户端）
+ */
+class SessionError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.reason = reason;
+  }
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * 预付会话令牌：一次较大的支付换取 HS256 JWT
+ * 令牌绑定付款地址（sub）与会话范围（scope），在 exp 之前、剩余次数用尽之前可访问该范围内的路由
+ *
+ * 载荷：{ jti, sub, scope, calls, iat, exp }
+ */
+class SessionTokens {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.secret] - HMAC 密钥；未配置时每次启动随机生成（重启后令牌失效）
+   * @param {SessionStore} [config.store] - 剩余次数存储（默认内存）
+   */
+  constructor(config = {}) {
+    this.secret = config.secret || crypto.randomBytes(32).toString('hex');
+    this.store = config.store || new MemorySessionStore();
+  }
+
+  sign(claims) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * 校验签名并返回载荷
+   * @throws {SessionError}
+   */
+  decode(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new SessionError('session_invalid', 'Malformed session token');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new SessionError('session_invalid', 'Session token signature is invalid');
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch (error) {
+      throw new SessionError('session_invalid', 'Malformed session token');
+    }
+  }
+
+  /**
+   * 签发会话令牌并登记剩余次数
+   * @param {Object} params
+   * @param {string} params.payer - 付款地址
+   * @param {string} params.scope - 会话范围
+   * @param {number} [params.calls] - 可用次数，不填表示有效期内不限次数
+   * @param {number} params.ttlSeconds - 有效期
+   * @returns {Promise<{token: string, id: string, payer: string, scope: string, calls: number|null, expiresAt: string}>}
+   */
+  async issue({ payer, scope, calls, ttlSeconds }) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      jti: crypto.randomUUID(),
+      sub: payer,
+      scope: scope,
+      calls: calls || null,
+      iat: now,
+      exp: now + ttlSeconds
+    };
+
+    await this.store.create(claims.jti, { remaining: claims.calls, expiresAt: claims.exp * 1000 });
+
+    return {
+      token: this.sign(claims),
+      id: claims.jti,
+      payer: payer,
+      scope: scope,
+      calls: claims.calls,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * 使用一次会话
+   * @returns {Promise<{id: string, payer: string, scope: string, remaining: number|null, expiresAt: string}>}
+   * @throws {SessionError}
+   */
+  async redeem(token, scope) {
+    const claims = this.decode(token);
+
+    if (claims.scope !== scope) {
+      throw new SessionError('session_scope_mismatch', `Session is valid for "${claims.scope}", not "${scope}"`);
+    }
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      throw new SessionError('session_expired', 'Session has expired');
+    }
+
+    const usage = await this.store.consume(claims.jti);
+    if (!usage) {
+      throw new SessionError('session_exhausted', 'Session has no calls remaining');
+    }
+
+    return {
+      id: claims.jti,
+      payer: claims.sub,
+      scope: claims.scope,
+      remaining: usage.remaining,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * 请求处理失败时退回一次
+   */
+  async refund(id) {
+    await this.store.refund(id);
+  }
+
+  /**
+   * 作废会话（购买的支付未能结算）
+   */
+  async revoke(id) {
+    await this.store.delete(id);
+  }
+}
+
+module.exports = SessionTokens;
+module.exports.SessionError = SessionError;
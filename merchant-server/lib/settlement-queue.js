@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * 持久化结算队列（JSON 文件）
+ * 记录每笔待结算支付，失败时指数退避重试，重试耗尽或被 Facilitator 明确拒绝后进入死信列表
+ *
+ * 事件：
+ *   - 'settled' (item, result)
+ *   - 'retry'   (item, error)
+ *   - 'dead'    (item, error)
+ */
+class SettlementQueue extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} config.filePath - 队列文件路径
+   * @param {Function} config.settle - async (job) => 结算结果（Facilitator /settle 响应）
+   * @param {number} [config.maxAttempts] - 最大尝试次数
+   * @param {number} [config.baseDelayMs] - 首次重试延迟
+   * @param {number} [config.maxDelayMs] - 最大重试延迟
+   */
+  constructor(config) {
+    super();
+    this.filePath = config.filePath;
+    this.settle = config.settle;
+    this.maxAttempts = config.maxAttempts || 6;
+    this.baseDelayMs = config.baseDelayMs || 1000;
+    this.maxDelayMs = config.maxDelayMs || 60000;
+
+    this.pending = [];
+    this.deadLetter = [];
+    this.inFlight = new Map();
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * 加载持久化的队列并恢复处理
+   */
+  start() {
+    if (fs.existsSync(this.filePath)) {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.pending = state.pending || [];
+      this.deadLetter = state.deadLetter || [];
+    }
+
+    this.stopped = false;
+    if (this.pending.length > 0) {
+      console.log(`Resuming ${this.pending.length} pending settlement(s)`);
+    }
+    this.schedule();
+  }
+
+  /**
+   * 写入队列文件（先写临时文件再重命名，避免写一半）
+   */
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      pending: this.pending,
+      deadLetter: this.deadLetter
+    }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * 加入一笔已验证的支付并立即尝试结算
+   * @returns {Promise<{status: string, item: Object, result?: Object, error?: Error}>}
+   *   status: settled | pending | dead
+   */
+  enqueue(job) {
+    const item = {
+      id: crypto.randomUUID(),
+      job: job,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.pending.push(item);
+    this.persist();
+
+    return this.attempt(item);
+  }
+
+  /**
+   * 执行一次结算尝试
+   */
+  attempt(item) {
+    if (this.inFlight.has(item.id)) {
+      return this.inFlight.get(item.id);
+    }
+
+    const run = (async () => {
+      item.attempts += 1;
+
+      let result;
+      let error;
+      try {
+        result = await this.settle(item.job);
+        if (result.success === false) {
+          error = new Error(`Facilitator rejected settlement: ${result.errorReason || 'unknown reason'}`);
+          error.permanent = true;
+        }
+      } catch (err) {
+        error = err;
+        error.permanent = !this.isRetryable(err);
+      }
+
+      if (!error) {
+        this.remove(item);
+        this.persist();
+        this.emit('settled', item, result);
+        return { status: 'settled', item, result };
+      }
+
+      item.lastError = error.message;
+
+      if (error.permanent || item.attempts >= this.maxAttempts) {
+        this.remove(item);
+        this.deadLetter.push({ ...item, failedAt: new Date().toISOString() });
+        this.persist();
+        console.error(`Settlement ${item.id} moved to dead-letter after ${item.attempts} attempt(s): ${error.message}`);
+        this.emit('dead', item, error);
+        return { status: 'dead', item, error };
+      }
+
+      item.nextAttemptAt = Date.now() + this.getRetryDelay(item.attempts);
+      this.persist();
+      console.warn(`Settlement ${item.id} failed (attempt ${item.attempts}/${this.maxAttempts}), retrying at ${new Date(item.nextAttemptAt).toISOString()}`);
+      this.emit('retry', item, error);
+      this.inFlight.delete(item.id);
+      this.schedule();
+      return { status: 'pending', item, error };
+    })();
+
+    this.inFlight.set(item.id, run);
+    run.finally(() => this.inFlight.delete(item.id));
+    return run;
+  }
+
+  /**
+   * 只有网络错误、超时和 5xx 可重试
+   * 4xx、Facilitator 明确拒绝以及构建载荷时的错误（如 PaymentError，没有 response）重试也不会成功
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+    // 请求已发出但没有响应（连接失败、超时），或系统网络错误（有 code）
+    return Boolean(error.request || error.code);
+  }
+
+  /**
+   * 指数退避：baseDelayMs * 2^(attempts-1)，不超过 maxDelayMs
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  remove(item) {
+    this.pending = this.pending.filter(p => p.id !== item.id);
+  }
+
+  /**
+   * 在最早的 nextAttemptAt 唤醒并处理到期的条目
+   */
+  schedule() {
+    if (this.stopped) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    const waiting = this.pending.filter(item => !this.inFlight.has(item.id));
+    if (waiting.length === 0) {
+      return;
+    }
+
+    const next = Math.min(...waiting.map(item => item.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      const now = Date.now();
+      this.pending
+        .filter(item => item.nextAttemptAt <= now)
+        .forEach(item => this.attempt(item));
+      this.schedule();
+    }, Math.max(0, next - Date.now()));
+    this.timer.unref();
+  }
+
+  /**
+   * 停止调度，等待进行中的结算（最多 drainTimeoutMs），剩余条目保留在文件中待重启后继续
+   */
+  async shutdown(drainTimeoutMs = 10000) {
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.inFlight.size > 0) {
+      console.log(`Waiting for ${this.inFlight.size} in-flight settlement(s)...`);
+      await Promise.race([
+        Promise.allSettled([...this.inFlight.values()]),
+        new Promise(resolve => setTimeout(resolve, drainTimeoutMs).unref())
+      ]);
+    }
+
+    this.persist();
+    console.log(`Settlement queue saved: ${this.pending.length} pending, ${this.deadLetter.length} dead-letter`);
+  }
+
+  /**
+   * 队列状态概览
+   */
+  getStats() {
+    return {
+      pending: this.pending.length,
+      inFlight: this.inFlight.size,
+      deadLetter: this.deadLetter.length
+    };
+  }
+}
+
+module.exports = SettlementQueue;
@@ -1,4 +1,42 @@
 const axios = require('axios');
+const { ethers } = require('ethers');
+const NetworkRegistry = require('../lib/network-registry');
+const FacilitatorPool = require('../lib/facilitator-pool');
+const SessionTokens = require('../lib/session-tokens');
+const { SessionError } = SessionTokens;
+const SettlementQueue = require('../lib/settlement-queue');
+const { MemoryNonceStore } = require('../lib/nonce-store');
+const { AUTHORIZATION_TYPES, resolveAuthorizationType } = require('../lib/authorization-types');
+const { PERMIT2_ADDRESS, PERMIT_TYPES, resolvePermitType } = require('../lib/permit-types');
+
+// exact: EIP-3009 授权转账；permit: EIP-2612 / Permit2 签名授权
+const SUPPORTED_SCHEMES = ['exact', 'permit'];
+
+// 使用 permit 签名的方案；upto 是计量路由（metered）上 permit token 的路线方案，按实际用量结算
+const PERMIT_SCHEMES = ['permit', 'upto'];
+
+// 价格（token 单位）-> 最小单位（6 位小数）
+const toAtomicAmount = (price) => BigInt(Math.floor(price * 1000000));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 非负整数（字符串或数字）
+const isUintLike = (value) => (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+
+// 验证方式：facilitator（本地预检后再由 Facilitator 验证，默认）；local（仅本地验证，用于可信私链）
+const VERIFY_MODES = ['facilitator', 'local'];
+
+/**
+ * 支付被拒绝（返回 402，reason 为机器可读的拒绝原因）
+ */
+class PaymentError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
 
 /**
  * x402 v2 支付中间件 (多 Token 版本)
@@ -10,34 +48,166 @@ class X402Middleware {
     this.payToAddress = config.payToAddress;
     this.pricePerRequest = config.pricePerRequest;
     this.supportedTokens = config.supportedTokens || [];
+    // 默认方案，token 可通过 scheme 字段覆盖
     this.scheme = 'exact';
+    // 结算模式：'async'（验证后立即异步结算）、'on-success'（处理成功后才结算）或
+    // 'sync'（等待结算完成后再处理请求，结果写入 PAYMENT-RESPONSE 响应头）
+    this.settlementMode = config.settlementMode || 'async';
+    this.settlementTimeoutMs = config.settlementTimeoutMs || 30000;
 
     if (this.supportedTokens.length === 0) {
       throw new Error('No tokens configured in X402Middleware');
     }
+
+    // 已消耗授权存储，用于拒绝重放（默认内存实现）
+    this.nonceStore = config.nonceStore || new MemoryNonceStore();
+
+    // 持久化结算队列（可选）：失败自动重试，重启后继续
+    this.settlementQueue = null;
+    if (config.settlementQueue) {
+      this.settlementQueue = new SettlementQueue({
+        ...config.settlementQueue,
+        settle: (job) => this.settlePayment(job.payment, job.resource, job.routeConfig, { amount: job.amount })
+      });
+      this.settlementQueue.on('settled', (item, result) => this.recordSettlement(item.job.paymentId, 'settled', result));
+      this.settlementQueue.on('retry', (item, error) => this.recordSettlement(item.job.paymentId, 'retrying', null, error));
+      this.settlementQueue.on('dead', (item, error) => this.recordSettlement(item.job.paymentId, 'failed', null, error));
+      this.settlementQueue.start();
+    }
+
+    // 支付账本（可选）：记录每笔支付的验证与结算结果
+    this.ledger = config.ledger || null;
+
+    // 预付会话令牌：{ secret, store }，路由通过 session 选项启用
+    this.sessions = new SessionTokens(config.sessions);
+
+    // CAIP-2 -> Facilitator 网络名映射，默认读取 config/networks.json
+    this.networkRegistry = config.networkRegistry ||
+      NetworkRegistry.fromFile(undefined, [{ url: this.facilitatorUrl }]);
+
+    // 启动时检查每个 token 的网络均已注册且有 Facilitator 支持，签名类型有效
+    this.supportedTokens.forEach(token => {
+      const scheme = this.getTokenScheme(token);
+      if (!SUPPORTED_SCHEMES.includes(scheme)) {
+        throw new Error(`Unsupported scheme "${scheme}" for ${token.contractType}`);
+      }
+      if (scheme === 'permit') {
+        resolvePermitType(token);
+        if (!token.spender) {
+          throw new Error(`Permit token ${token.contractType} requires a spender address`);
+        }
+      } else {
+        resolveAuthorizationType(token);
+      }
+      if (token.verifyMode && !VERIFY_MODES.includes(token.verifyMode)) {
+        throw new Error(`Unknown verifyMode "${token.verifyMode}" for ${token.contractType} (expected one of: ${VERIFY_MODES.join(', ')})`);
+      }
+      this.networkRegistry.toFacilitatorNetwork(token.chainId);
+      if (this.networkRegistry.getFacilitatorsFor(token.chainId).length === 0) {
+        throw new Error(`No facilitator supports network eip155:${token.chainId} (${token.contractType})`);
+      }
+    });
+
+    // 按网络选择 Facilitator，故障时转移到下一个；熔断器由 /supported 健康检查驱动
+    this.facilitators = new FacilitatorPool({
+      ...config.facilitatorFailover,
+      networkRegistry: this.networkRegistry,
+      probe: (url) => this.getSupportedSchemes(url)
+    });
+    this.facilitators.start();
+  }
+
+  /**
+   * token 使用的支付方案
+   */
+  getTokenScheme(token) {
+    return token.scheme || this.scheme;
+  }
+
+  /**
+   * 路线使用的支付方案：计量路由上的 permit token 使用 upto（EIP-3009 只能转出签名的固定金额，无法计量）
+   */
+  getRouteScheme(routeConfig, token) {
+    const scheme = this.getTokenScheme(token);
+    return routeConfig.metered && scheme === 'permit' ? 'upto' : scheme;
+  }
+
+  /**
+   * 取出支付中的授权字段，统一为 { from, to, value, nonce, validAfter, validBefore }
+   * exact 直接使用 EIP-3009 authorization；permit / upto 由 permit（owner / deadline）与转账目标 to 组成
+   */
+  getAuthorization(paymentPayload = {}) {
+    const payload = paymentPayload.payload || {};
+
+    if (PERMIT_SCHEMES.includes(paymentPayload.scheme)) {
+      const permit = payload.permit || {};
+      return {
+        from: permit.owner,
+        to: payload.to,
+        value: permit.value,
+        nonce: permit.nonce !== undefined && permit.nonce !== null ? permit.nonce.toString() : undefined,
+        validAfter: 0,
+        validBefore: permit.deadline
+      };
+    }
+
+    return payload.authorization || {};
   }
 
   /**
    * Express 中间件函数 (v2 多 Token)
+   * @param {Object} [options] - 路由级配置
+   * @param {number} [options.price] - 该路由价格（token 单位，覆盖 pricePerRequest）
+   * @param {string[]} [options.tokens] - 接受的 token 子集（contractType 或合约地址）
+   * @param {string} [options.description] - 路由描述
+   * @param {string} [options.mimeType] - 资源 MIME 类型
+   * @param {number} [options.timeoutSeconds] - 支付授权有效期
+   * @param {string} [options.settlement] - 结算模式，覆盖全局 settlementMode
+   * @param {number} [options.settlementTimeoutMs] - sync 模式下等待结算的超时时间
+   * @param {Object} [options.session] - 接受该预付会话的令牌（会话方案，见 sessionRoute）
+   * @param {Function} [options.beforeSettlement] - sync 模式下结算前调用 async (req, res)，抛出错误时不结算
    */
-  middleware() {
+  middleware(options = {}) {
+    const routeConfig = this.resolveRouteConfig(options);
+
     return async (req, res, next) => {
       const resource = `${req.protocol}://${req.get('host')}${req.originalUrl || req.path}`;
 
-      // 检查 v2 支付凭证头
+      // 检查支付凭证头：v2 PAYMENT-SIGNATURE，或 v1 客户端的 X-PAYMENT
       const paymentSignatureHeader = req.headers['payment-signature'];
+      const legacyPaymentHeader = req.headers['x-payment'];
 
-      if (!paymentSignatureHeader) {
+      // 预付会话：令牌有效时跳过 402 流程；无效时若同时携带支付则继续按次支付
+      const sessionHeader = req.headers['payment-session'];
+      let sessionError = null;
+      if (routeConfig.session && sessionHeader) {
+        try {
+          const session = await this.sessions.redeem(sessionHeader, routeConfig.session.scope);
+          this.useSession(req, res, session);
+          return next();
+        } catch (error) {
+          if (!(error instanceof SessionError)) {
+            return next(error);
+          }
+          console.log(`Session rejected: ${error.reason} - ${error.message}`);
+          sessionError = error;
+        }
+      }
+
+      if (!paymentSignatureHeader && !legacyPaymentHeader) {
         // 没有支付凭证，返回 402 Payment Required
-        return this.sendPaymentRequired(req, res, resource);
+        return this.sendPaymentRequired(req, res, resource, routeConfig, sessionError);
       }
 
-      // 解析支付凭证
+      // 解析支付凭证（v1 载荷转换为内部 v2 结构）
       let payment;
       try {
-        payment = typeof paymentSignatureHeader === 'string'
-          ? JSON.parse(paymentSignatureHeader)
-          : paymentSignatureHeader;
+        payment = paymentSignatureHeader
+          ? this.decodePaymentHeader(paymentSignatureHeader)
+          : this.fromV1Payment(this.decodePaymentHeader(legacyPaymentHeader), routeConfig);
+        if (!isObject(payment.paymentPayload) || !isObject(payment.paymentPayload.payload)) {
+          throw new Error('Payment must contain a paymentPayload object with a payload');
+        }
       } catch (error) {
         return res.status(400).json({
           error: 'Invalid payment signature format',
@@ -45,27 +215,73 @@ class X402Middleware {
         });
       }
 
-      // 验证支付
+      // 验证支付；通过本地预检（路线匹配、签名）后才记入支付账本，PAYMENT-ID 可用于查询结算状态
+      let paymentId = null;
       try {
-        const isValid = await this.verifyPayment(payment, resource);
+        await this.verifyPayment(payment, resource, routeConfig, {
+          onVerifiedLocally: (token) => {
+            paymentId = this.recordPayment(req, payment, resource, token);
+            if (paymentId) {
+              res.setHeader('PAYMENT-ID', paymentId);
+            }
+          }
+        });
+        this.updatePayment(paymentId, {
+          verification: 'valid',
+          verifiedAt: new Date().toISOString(),
+          settlementStatus: 'pending'
+        });
 
-        if (!isValid) {
-          return res.status(402).json({
-            error: 'Payment verification failed',
-            message: 'The payment signature is invalid or has been used'
+        // 请求处理函数通过 req.x402 访问支付信息并报告用量
+        const { route } = this.matchPayment(payment, resource, routeConfig);
+        req.x402 = this.createPaymentContext(payment, paymentId, route);
+
+        if (route.scheme === 'upto') {
+          // upto：处理完成后按报告的用量结算
+          this.settleOnSuccess(res, payment, resource, routeConfig, paymentId, req.x402);
+        } else if (routeConfig.settlement === 'sync') {
+          // 结算前的准备（如签发会话令牌），失败时不结算
+          if (routeConfig.beforeSettlement) {
+            await routeConfig.beforeSettlement(req, res);
+          }
+          // 等待结算完成，再继续处理请求
+          const settlement = await this.settleSync(payment, resource, routeConfig);
+          this.recordSettlement(paymentId, 'settled', settlement);
+          res.setHeader(this.getPaymentResponseHeader(payment), this.encodePaymentResponse(settlement, payment));
+          if (routeConfig.metered) {
+            // 固定金额的支付在计量路由上按全价收费
+            res.setHeader('PAYMENT-CHARGED', route.amount);
+          }
+        } else if (routeConfig.settlement === 'on-success') {
+          // 持有已验证的支付，待处理完成后按状态码决定是否结算
+          this.settleOnSuccess(res, payment, resource, routeConfig, paymentId, req.x402);
+        } else {
+          // 支付有效，异步结算并继续处理请求（结算结果未知，不返回 PAYMENT-CHARGED）
+          this.queueSettlement(payment, resource, routeConfig, paymentId).catch(err => {
+            console.error('Settlement failed:', err);
           });
         }
 
-        // 支付有效，异步结算并继续处理请求
-        this.settlePayment(payment, resource).catch(err => {
-          console.error('Settlement failed:', err);
-        });
-
-        // 将支付信息附加到请求对象
+        // 将支付信息附加到请求对象（兼容旧字段，新代码使用 req.x402）
         req.x402Payment = payment;
+        req.x402PaymentId = paymentId;
 
         next();
       } catch (error) {
+        this.recordFailure(paymentId, error);
+
+        if (error instanceof PaymentError) {
+          console.log(`Payment rejected: ${error.reason} - ${error.message}`);
+          return res.status(402).json({
+            error: 'Payment verification failed',
+            reason: error.reason,
+            message: error.message,
+            ...error.details,
+            // v1 客户端从响应体读取支付要求
+            ...(payment.x402Version === 1 ? { x402Version: 1, accepts: this.buildV1Accepts(routeConfig, resource) } : {})
+          });
+        }
+
         console.error('Payment verification error:', error);
         return res.status(500).json({
           error: 'Payment verification error',
@@ -76,39 +292,575 @@ class X402Middleware {
   }
 
   /**
-   * 发送 402 Payment Required v2 响应
+   * 解码支付头：规范为 base64(JSON)，同时兼容原始 JSON
    */
-  sendPaymentRequired(req, res, resource) {
-    const amount = Math.floor(this.pricePerRequest * 1000000).toString();
-    const memo = resource || req.path;
+  decodePaymentHeader(value) {
+    if (typeof value !== 'string') {
+      throw new Error('Payment header must be a string');
+    }
 
-    // v2 resourceInfo
-    const resourceInfo = {
+    const trimmed = value.trim();
+    const json = trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf-8');
+    const decoded = JSON.parse(json);
+    if (!isObject(decoded)) {
+      throw new Error('Payment header must decode to a JSON object');
+    }
+    return decoded;
+  }
+
+  /**
+   * 将 v1 X-PAYMENT 载荷转换为内部 v2 结构
+   * v1 载荷使用网络名且不含 asset，按网络在兼容 v1 的路线中唯一确定 asset
+   */
+  fromV1Payment(v1Payment, routeConfig) {
+    if (!v1Payment || typeof v1Payment !== 'object' || typeof v1Payment.network !== 'string') {
+      throw new Error('Invalid X-PAYMENT payload');
+    }
+
+    const network = this.networkRegistry.fromFacilitatorNetwork(v1Payment.network) || v1Payment.network;
+    const routes = this.buildAccepts(routeConfig, '')
+      .filter(route => this.isV1Compatible(route) && route.network === network);
+
+    return {
+      x402Version: 1,
+      paymentPayload: {
+        x402Version: 1,
+        scheme: v1Payment.scheme,
+        network: network,
+        asset: routes.length === 1 ? routes[0].asset : undefined,
+        payload: v1Payment.payload
+      }
+    };
+  }
+
+  /**
+   * v1 客户端只能签名标准 EIP-3009 TransferWithAuthorization
+   */
+  isV1Compatible(route) {
+    return route.scheme === 'exact' && route.meta.authorizationType === 'transfer';
+  }
+
+  /**
+   * 结算结果响应头：v1 客户端读取 X-PAYMENT-RESPONSE
+   */
+  getPaymentResponseHeader(payment) {
+    return payment.x402Version === 1 ? 'X-PAYMENT-RESPONSE' : 'PAYMENT-RESPONSE';
+  }
+
+  /**
+   * 请求处理函数使用的支付上下文（req.x402）
+   * upto 支付通过 charge(amount) 报告用量（token 单位，与路由 price 相同），可多次调用累计，
+   * 不超过授权的最大金额；未报告用量时按最大金额收费。其他方案为固定金额，charge() 不影响收费
+   */
+  createPaymentContext(payment, paymentId, route) {
+    const maxAmount = BigInt(route.amount);
+    const metered = route.scheme === 'upto';
+    let used = null;
+
+    return {
+      payment: payment,
+      paymentId: paymentId,
+      scheme: route.scheme,
+      payer: this.getAuthorization(payment.paymentPayload).from,
+      // 最大金额（最小单位）
+      maxAmount: route.amount,
+      metered: metered,
+
+      charge(amount) {
+        const atomic = toAtomicAmount(amount);
+        if (atomic < 0n) {
+          throw new Error(`Cannot charge a negative amount: ${amount}`);
+        }
+
+        used = (used || 0n) + atomic;
+        if (used > maxAmount) {
+          console.warn(`Reported usage ${used} exceeds the authorized maximum ${maxAmount}, charging the maximum`);
+          used = maxAmount;
+        }
+        return used.toString();
+      },
+
+      // 是否已报告用量
+      get reported() {
+        return used !== null;
+      },
+
+      // 本次收费（最小单位）
+      get charged() {
+        if (!metered || used === null) {
+          return maxAmount.toString();
+        }
+        return used.toString();
+      }
+    };
+  }
+
+  /**
+   * 合并路由级配置与全局默认值
+   */
+  resolveRouteConfig(options = {}) {
+    let tokens = this.supportedTokens;
+
+    if (options.tokens) {
+      const wanted = options.tokens.map(t => t.toLowerCase());
+      tokens = this.supportedTokens.filter(token =>
+        wanted.includes(token.contractType.toLowerCase()) ||
+        wanted.includes(token.address.toLowerCase())
+      );
+
+      if (tokens.length === 0) {
+        throw new Error(`None of the route tokens are configured: ${options.tokens.join(', ')}`);
+      }
+    }
+
+    return {
+      price: options.price,
+      tokens: tokens,
+      description: options.description,
+      mimeType: options.mimeType || 'application/json',
+      timeoutSeconds: options.timeoutSeconds || 120,
+      settlement: options.settlement || this.settlementMode,
+      settlementTimeoutMs: options.settlementTimeoutMs || this.settlementTimeoutMs,
+      session: options.session || null,
+      metered: options.metered === true,
+      beforeSettlement: options.beforeSettlement || null
+    };
+  }
+
+  /**
+   * 出售预付会话的路由：验证支付后先签发会话令牌，再同步结算
+   * 令牌签发失败时不结算；结算失败时撤销已签发的令牌
+   * 用法：app.post(plan.path, x402.sessionRoute(plan))，受保护路由以 middleware({ session: plan }) 接受该令牌
+   * @param {Object} plan - 会话方案
+   * @param {string} plan.scope - 会话范围（接受该方案的路由共享）
+   * @param {string} plan.path - 购买会话的路由路径（在 402 响应中告知客户端）
+   * @param {number} plan.price - 会话价格（token 单位）
+   * @param {number} [plan.calls] - 可用次数，不填表示有效期内不限次数
+   * @param {number} [plan.ttlSeconds] - 有效期（默认 3600 秒）
+   * @param {string[]} [plan.tokens] - 接受的 token 子集
+   * @returns {Function[]} Express 处理函数
+   */
+  sessionRoute(plan) {
+    if (!plan.scope || !plan.path || !plan.price) {
+      throw new Error('Session plan requires scope, path and price');
+    }
+
+    const issue = async (req, res) => {
+      const payer = req.x402.payer;
+      const session = await this.sessions.issue({
+        payer: payer,
+        scope: plan.scope,
+        calls: plan.calls,
+        ttlSeconds: plan.ttlSeconds || 3600
+      });
+
+      // 结算失败（402）或之后的处理出错时令牌作废
+      res.on('finish', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          console.log(`Session revoked: ${session.scope} for ${payer} (response ${res.statusCode})`);
+          this.sessions.revoke(session.id).catch(err => console.error('Session revoke failed:', err));
+        }
+      });
+
+      req.x402IssuedSession = session;
+    };
+
+    const purchase = this.middleware({
+      price: plan.price,
+      tokens: plan.tokens,
+      description: plan.description || this.describeSessionPlan(plan),
+      settlement: 'sync',
+      beforeSettlement: issue
+    });
+
+    const respond = (req, res) => {
+      const session = req.x402IssuedSession;
+      console.log(`Session issued: ${session.scope} for ${session.payer} (${session.calls || 'unlimited'} calls, until ${session.expiresAt})`);
+      res.setHeader('PAYMENT-SESSION', session.token);
+      res.json(session);
+    };
+
+    return [purchase, respond];
+  }
+
+  describeSessionPlan(plan) {
+    const calls = plan.calls ? `${plan.calls} calls` : 'unlimited calls';
+    return `Prepaid ${plan.scope} session: ${calls} within ${plan.ttlSeconds || 3600}s`;
+  }
+
+  /**
+   * 402 响应中的会话报价，客户端据此购买会话
+   */
+  buildSessionOffer(plan) {
+    return {
+      scope: plan.scope,
+      endpoint: plan.path,
+      price: plan.price,
+      calls: plan.calls || null,
+      ttlSeconds: plan.ttlSeconds || 3600,
+      description: plan.description || this.describeSessionPlan(plan)
+    };
+  }
+
+  /**
+   * 以会话令牌放行请求：响应头返回剩余次数，处理失败（4xx/5xx）时退回本次
+   */
+  useSession(req, res, session) {
+    if (session.remaining !== null) {
+      res.setHeader('PAYMENT-SESSION-REMAINING', session.remaining);
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          this.sessions.refund(session.id).catch(err => console.error('Session refund failed:', err));
+        }
+      });
+    }
+
+    req.x402Session = session;
+  }
+
+  /**
+   * 提交结算：有结算队列时先持久化再尝试，否则直接调用 /settle
+   * @param {string} [amount] - upto 支付的结算金额（最小单位）
+   * @returns {Promise<{status: string, result?: Object}>} status: settled | pending | dead
+   */
+  async queueSettlement(payment, resource, routeConfig, paymentId = null, amount = null) {
+    if (this.settlementQueue) {
+      return this.settlementQueue.enqueue({ payment, resource, routeConfig, paymentId, amount });
+    }
+
+    try {
+      const result = await this.settlePayment(payment, resource, routeConfig, { amount });
+      const status = result.success === false ? 'dead' : 'settled';
+      this.recordSettlement(paymentId, status === 'settled' ? 'settled' : 'failed', result);
+      return { status, result };
+    } catch (error) {
+      this.recordSettlement(paymentId, 'failed', null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 在账本中新建支付记录（支付已匹配到 token 的路线并通过本地预检），未配置账本时返回 null
+   */
+  recordPayment(req, payment, resource, token) {
+    if (!this.ledger) {
+      return null;
+    }
+
+    const paymentPayload = payment.paymentPayload;
+    const authorization = this.getAuthorization(paymentPayload);
+
+    const entry = this.ledger.create({
+      payer: authorization.from,
+      token: token.contractType,
+      network: paymentPayload.network,
+      asset: token.address,
+      amount: authorization.value !== undefined ? authorization.value.toString() : undefined,
+      route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
       resource: resource,
-      mimeType: 'application/json',
-      method: req.method
+      nonce: authorization.nonce
+    });
+
+    return entry.id;
+  }
+
+  updatePayment(paymentId, patch) {
+    if (this.ledger && paymentId) {
+      this.ledger.update(paymentId, patch);
+    }
+  }
+
+  /**
+   * 记录结算状态：pending | retrying | settled | failed | dropped
+   */
+  recordSettlement(paymentId, status, settlement = null, error = null) {
+    const patch = { settlementStatus: status };
+
+    if (settlement) {
+      patch.transaction = settlement.transactionHash || settlement.transaction || undefined;
+      patch.explorerUrl = settlement.explorerUrl;
+      if (settlement.errorReason) {
+        patch.settlementError = settlement.errorReason;
+      }
+    }
+    if (error) {
+      patch.settlementError = error.message;
+    }
+    if (status === 'settled') {
+      patch.settledAt = new Date().toISOString();
+    }
+
+    this.updatePayment(paymentId, patch);
+  }
+
+  /**
+   * 记录验证失败；已验证的支付（同步结算失败）记为结算失败
+   */
+  recordFailure(paymentId, error) {
+    if (!this.ledger || !paymentId) {
+      return;
+    }
+
+    const entry = this.ledger.get(paymentId);
+    if (entry && entry.verification === 'valid') {
+      this.recordSettlement(paymentId, 'failed', null, error);
+    } else {
+      this.updatePayment(paymentId, {
+        verification: 'rejected',
+        verificationReason: error.reason || 'verification_error'
+      });
+    }
+  }
+
+  /**
+   * 停止结算队列，保存未完成的结算与支付账本
+   */
+  async shutdown() {
+    this.facilitators.stop();
+    if (this.settlementQueue) {
+      await this.settlementQueue.shutdown();
+    }
+    if (this.ledger) {
+      this.ledger.flush();
+    }
+  }
+
+  /**
+   * 同步结算：在超时时间内等待 /settle 完成
+   * @throws {PaymentError} 结算失败或超时
+   */
+  async settleSync(payment, resource, routeConfig) {
+    let result;
+    try {
+      // 超时的 /settle 可能已提交，不转移到其他 Facilitator 重复提交同一授权
+      result = await this.settlePayment(payment, resource, routeConfig, {
+        timeout: routeConfig.settlementTimeoutMs,
+        failoverOnTimeout: false
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        throw new PaymentError('settlement_timeout', `Settlement did not complete within ${routeConfig.settlementTimeoutMs}ms`);
+      }
+      throw new PaymentError('settlement_failed', error.message);
+    }
+
+    if (result.success === false) {
+      throw new PaymentError('settlement_failed', 'The facilitator could not settle the payment', {
+        facilitatorReason: result.errorReason
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 构建 Base64 编码的 PAYMENT-RESPONSE 响应头
+   */
+  encodePaymentResponse(settlement, payment) {
+    const paymentResponse = {
+      success: settlement.success !== false,
+      transaction: settlement.transactionHash || settlement.transaction,
+      network: payment.paymentPayload.network,
+      payer: settlement.payer || this.getAuthorization(payment.paymentPayload).from,
+      amount: settlement.amount,
+      explorerUrl: settlement.explorerUrl
+    };
+
+    return Buffer.from(JSON.stringify(paymentResponse)).toString('base64');
+  }
+
+  /**
+   * Pay-on-success：缓冲响应直到处理结束
+   * 状态码为 2xx 时结算，否则丢弃授权；结果写入 PAYMENT-SETTLEMENT 响应头
+   * （配置了结算队列时，首次结算失败会返回 pending 并由队列继续重试）
+   * 计量路由额外返回 PAYMENT-CHARGED（本次收费，最小单位）；upto 支付只结算 req.x402 报告的用量
+   */
+  settleOnSuccess(res, payment, resource, routeConfig, paymentId = null, context = null) {
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const chunks = [];
+
+    res.write = function (chunk, encoding, callback) {
+      if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (chunk) {
+        chunks.push({ chunk, encoding });
+      }
+      if (callback) {
+        callback();
+      }
+      return true;
     };
 
-    // v2 accepts 数组：为每种 token 创建一条路线
-    const accepts = this.supportedTokens.map((token) => {
+    res.end = (chunk, encoding, callback) => {
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = undefined;
+      } else if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (chunk) {
+        chunks.push({ chunk, encoding });
+      }
+
+      res.write = originalWrite;
+      res.end = originalEnd;
+
+      let amount = null;
+      if (context && context.metered) {
+        if (!context.reported) {
+          console.warn('Handler did not report usage (req.x402.charge), charging the authorized maximum');
+        }
+        amount = context.charged;
+      }
+
+      this.finishSettlement(res.statusCode, payment, resource, routeConfig, paymentId, amount).then(({ outcome, settlement }) => {
+        if (!res.headersSent) {
+          res.setHeader('PAYMENT-SETTLEMENT', outcome);
+          if (routeConfig.metered) {
+            // 只有已结算的金额计为收费（pending / failed / dropped 均为 0）
+            res.setHeader('PAYMENT-CHARGED', outcome === 'settled' ? (amount || context.charged) : '0');
+          }
+          if (outcome === 'settled') {
+            res.setHeader(this.getPaymentResponseHeader(payment), this.encodePaymentResponse(settlement, payment));
+          }
+        }
+        chunks.forEach(({ chunk, encoding }) => res.write(chunk, encoding));
+        res.end(callback);
+      });
+
+      return res;
+    };
+  }
+
+  /**
+   * 根据处理结果结算或丢弃授权
+   * @returns {Promise<{outcome: string, settlement?: Object}>} outcome: settled | pending | failed | dropped
+   */
+  async finishSettlement(statusCode, payment, resource, routeConfig, paymentId = null, amount = null) {
+    if (statusCode < 200 || statusCode >= 300) {
+      console.log(`Handler responded ${statusCode}, dropping payment authorization`);
+      this.recordSettlement(paymentId, 'dropped');
+      return { outcome: 'dropped' };
+    }
+
+    if (amount !== null) {
+      this.updatePayment(paymentId, { chargedAmount: amount });
+      if (amount === '0') {
+        console.log('No usage reported, dropping payment authorization');
+        this.recordSettlement(paymentId, 'dropped');
+        return { outcome: 'dropped' };
+      }
+    }
+
+    try {
+      const { status, result } = await this.queueSettlement(payment, resource, routeConfig, paymentId, amount);
+      const outcome = { settled: 'settled', pending: 'pending', dead: 'failed' }[status];
+      return { outcome, settlement: result };
+    } catch (error) {
+      console.error('Settlement failed:', error.message);
+      return { outcome: 'failed' };
+    }
+  }
+
+  /**
+   * 计算路由上某个 token 的金额（最小单位）
+   * 优先级：路由 price > token.amount > 全局 pricePerRequest
+   */
+  getRouteAmount(routeConfig, token) {
+    if (routeConfig.price !== undefined) {
+      return toAtomicAmount(routeConfig.price).toString();
+    }
+    return token.amount || toAtomicAmount(this.pricePerRequest).toString();
+  }
+
+  /**
+   * 构建 v2 accepts 数组：为路由接受的每种 token 创建一条路线
+   */
+  buildAccepts(routeConfig, resource) {
+    return routeConfig.tokens.map((token) => {
       const caip2Network = `eip155:${token.chainId}`;
+      const scheme = this.getRouteScheme(routeConfig, token);
+      const meta = {
+        domainName: token.domainName,
+        domainVersion: token.domainVersion,
+        contractType: token.contractType,
+        explorerUrl: token.explorerUrl,
+        memo: resource
+      };
+
+      if (PERMIT_SCHEMES.includes(scheme)) {
+        // 客户端需要知道签名类型与被授权的 spender（Facilitator 提交地址）
+        meta.permitType = resolvePermitType(token);
+        meta.spender = token.spender;
+        if (meta.permitType === 'permit2') {
+          meta.permit2Address = token.permit2Address || PERMIT2_ADDRESS;
+        }
+      } else {
+        meta.authorizationType = resolveAuthorizationType(token);
+      }
+
       return {
-        scheme: this.scheme,
+        scheme: scheme,
         network: caip2Network,
         asset: token.address,
-        amount: token.amount || amount,
+        amount: this.getRouteAmount(routeConfig, token),
         payTo: this.payToAddress,
-        description: token.description,
-        timeoutSeconds: 120,
-        meta: {
-          domainName: token.domainName,
-          domainVersion: token.domainVersion,
-          contractType: token.contractType,
-          explorerUrl: token.explorerUrl,
-          memo: memo
-        }
+        description: routeConfig.description || token.description,
+        timeoutSeconds: routeConfig.timeoutSeconds,
+        meta: meta
       };
     });
+  }
+
+  /**
+   * 构建 v1 PaymentRequirements（也是发给 Facilitator 的 paymentRequirements 基础结构）
+   */
+  buildV1Requirements(route, resource, routeConfig) {
+    return {
+      scheme: route.scheme,
+      network: this.networkRegistry.toFacilitatorNetwork(route.network),
+      maxAmountRequired: route.amount,
+      resource: resource,
+      description: route.description || 'payment',
+      mimeType: routeConfig.mimeType,
+      maxTimeoutSeconds: route.timeoutSeconds,
+      payTo: route.payTo,
+      asset: route.asset,
+      extra: {
+        name: route.meta.domainName,
+        version: route.meta.domainVersion
+      }
+    };
+  }
+
+  /**
+   * v1 accepts 数组：只包含 v1 客户端能签名、且已注册 v1 网络名的路线
+   */
+  buildV1Accepts(routeConfig, resource) {
+    return this.buildAccepts(routeConfig, resource)
+      .filter(route => this.isV1Compatible(route) && this.networkRegistry.has(route.network))
+      .map(route => this.buildV1Requirements(route, resource, routeConfig));
+  }
+
+  /**
+   * 发送 402 Payment Required v2 响应
+   */
+  sendPaymentRequired(req, res, resource, routeConfig = this.resolveRouteConfig(), sessionError = null) {
+    const memo = resource || req.path;
+
+    // v2 resourceInfo
+    const resourceInfo = {
+      resource: resource,
+      mimeType: routeConfig.mimeType,
+      method: req.method
+    };
+
+    // v2 accepts 数组
+    const accepts = this.buildAccepts(routeConfig, memo);
 
     // 收集所有支持的网络
     const supportedNetworks = accepts.map(route => route.network);
@@ -118,34 +870,37 @@ class X402Middleware {
       version: 2,
       resourceInfo: resourceInfo,
       accepts: accepts,
-      facilitators: [
-        {
-          url: this.facilitatorUrl,
-          networks: supportedNetworks
-        }
-      ]
+      facilitators: this.networkRegistry.describeFacilitators(supportedNetworks)
     };
+    if (routeConfig.session) {
+      paymentRequired.session = this.buildSessionOffer(routeConfig.session);
+    }
 
     // Base64 编码
     const paymentRequiredBase64 = Buffer.from(JSON.stringify(paymentRequired)).toString('base64');
 
     // 构建 contractMetadata（取第一个 token 作为默认值）
     const firstRoute = accepts[0];
-    const firstToken = this.supportedTokens[0];
+    const firstToken = routeConfig.tokens[0];
     const contractMetadata = {
       domainName: firstRoute.meta.domainName,
       domainVersion: firstRoute.meta.domainVersion,
       chainId: firstToken.chainId,
       verifyingContract: firstRoute.asset,
       contractType: firstRoute.meta.contractType,
+      scheme: firstRoute.scheme,
+      authorizationType: firstRoute.meta.authorizationType,
+      permitType: firstRoute.meta.permitType,
       explorerUrl: firstRoute.meta.explorerUrl,
       caip2Network: firstRoute.network
     };
 
-    // v2 响应体
+    // v2 响应体；x402Version / accepts 为 v1 格式，供只支持 v1 的客户端使用
     const responseBody = {
+      x402Version: 1,
       error: 'Payment Required',
       message: 'This endpoint requires payment',
+      accepts: this.buildV1Accepts(routeConfig, memo),
       v2: {
         version: 2,
         resourceInfo: resourceInfo,
@@ -153,6 +908,12 @@ class X402Middleware {
       },
       contractMetadata: contractMetadata
     };
+    if (routeConfig.session) {
+      responseBody.session = {
+        ...paymentRequired.session,
+        ...(sessionError ? { error: sessionError.reason, message: sessionError.message } : {})
+      };
+    }
 
     res.status(402)
       .header('PAYMENT-REQUIRED', paymentRequiredBase64)
@@ -160,84 +921,363 @@ class X402Middleware {
   }
 
   /**
-   * 验证支付签名 (v2)
+   * 将支付严格匹配到该路由 accepts 中唯一的一条路线
+   * 按 scheme / network / asset（载荷含 asset 时）/ payTo 逐项筛选，并校验金额与 memo/resource
+   * @returns {{route: Object, token: Object}}
+   * @throws {PaymentError}
    */
-  async verifyPayment(payment, resource) {
-    try {
-      console.log('Received v2 payment');
+  matchPayment(payment, resource, routeConfig) {
+    const paymentPayload = payment.paymentPayload || {};
+    const authData = this.getAuthorization(paymentPayload);
 
-      // 提取 v2 支付载荷
-      const paymentData = payment.paymentPayload?.payload || {};
-      const authData = paymentData.authorization || {};
+    if (!paymentPayload.payload?.signature || !authData.from || !authData.to || !authData.nonce) {
+      throw new PaymentError('invalid_payment_structure', 'Missing signature, from, to or nonce in payment payload');
+    }
+    if (![paymentPayload.payload.signature, authData.from, authData.to, authData.nonce].every(value => typeof value === 'string')) {
+      throw new PaymentError('invalid_payment_structure', 'Signature, from, to and nonce must be strings');
+    }
 
-      const memo = payment.memo || authData.memo || resource;
-      const signature = paymentData.signature;
+    // 后续构建 Facilitator 载荷时会对这些字段 toString()
+    if (PERMIT_SCHEMES.includes(paymentPayload.scheme)) {
+      const permit = paymentPayload.payload.permit;
+      if (typeof permit.spender !== 'string' || !['value', 'nonce', 'deadline'].every(field => isUintLike(permit[field]))) {
+        throw new PaymentError('invalid_payment_structure', 'Permit must contain spender, value, nonce and deadline');
+      }
+    } else if (!isUintLike(authData.validAfter) || !isUintLike(authData.validBefore)) {
+      throw new PaymentError('invalid_payment_structure', 'Authorization must contain validAfter and validBefore');
+    }
 
-      if (!signature || !authData.from) {
-        throw new Error('Invalid payment structure: missing signature or from address');
+    let candidates = this.buildAccepts(routeConfig, resource).map((route, index) => ({
+      route: route,
+      token: routeConfig.tokens[index]
+    }));
+
+    candidates = candidates.filter(c => c.route.scheme === paymentPayload.scheme);
+    if (candidates.length === 0) {
+      throw new PaymentError('unsupported_scheme', `Scheme not accepted: ${paymentPayload.scheme}`);
+    }
+
+    candidates = candidates.filter(c => c.route.network === paymentPayload.network);
+    if (candidates.length === 0) {
+      throw new PaymentError('unsupported_network', `Network not accepted: ${paymentPayload.network}`);
+    }
+
+    // 标准 v2 载荷不含 asset：按 scheme / network / payTo 唯一确定路线
+    if (paymentPayload.asset !== undefined) {
+      const asset = String(paymentPayload.asset).toLowerCase();
+      candidates = candidates.filter(c => c.route.asset.toLowerCase() === asset);
+      if (candidates.length === 0) {
+        throw new PaymentError('unsupported_asset', `Asset not accepted on ${paymentPayload.network}: ${paymentPayload.asset}`);
+      }
+    }
+
+    candidates = candidates.filter(c => c.route.payTo.toLowerCase() === authData.to.toLowerCase());
+    if (candidates.length === 0) {
+      throw new PaymentError('payto_mismatch', `Authorization recipient does not match payTo: ${authData.to}`);
+    }
+
+    if (candidates.length > 1) {
+      throw new PaymentError('ambiguous_route', 'Payment matches more than one accepted route (set paymentPayload.asset)');
+    }
+
+    const { route, token } = candidates[0];
+
+    if (PERMIT_SCHEMES.includes(route.scheme)) {
+      if (paymentPayload.payload.permitType !== route.meta.permitType) {
+        throw new PaymentError('permit_type_mismatch', `Expected a ${route.meta.permitType} permit, got ${paymentPayload.payload.permitType}`);
       }
+      const spender = paymentPayload.payload.permit.spender || '';
+      if (spender.toLowerCase() !== route.meta.spender.toLowerCase()) {
+        throw new PaymentError('spender_mismatch', `Permit spender does not match the facilitator: ${spender}`);
+      }
+    }
 
-      // 从客户端支付中提取使用的 token 信息
-      // 通过 verifyingContract 地址匹配到对应的 token
-      const usedToken = this.supportedTokens.find(t =>
-        payment.paymentPayload?.network?.includes(t.chainId.toString())
-      ) || this.supportedTokens[0];
+    let value;
+    try {
+      value = BigInt(authData.value);
+    } catch (error) {
+      throw new PaymentError('invalid_payment_structure', `Invalid authorization value: ${authData.value}`);
+    }
+    if (value < BigInt(route.amount)) {
+      throw new PaymentError('insufficient_amount', `Authorized ${value} is less than required ${route.amount}`, {
+        required: route.amount
+      });
+    }
 
-      // 向 Facilitator 发送 v1 格式（Facilitator 目前只支持 v1）
-      const verifyPayload = {
+    const memo = payment.memo !== undefined ? payment.memo : authData.memo;
+    if (memo === undefined && route.meta.authorizationType === 'transferWithMemo') {
+      throw new PaymentError('memo_mismatch', 'Payment is missing the signed memo');
+    }
+    if (memo !== undefined && memo !== route.meta.memo) {
+      throw new PaymentError('memo_mismatch', 'Signed memo does not match the requested resource');
+    }
+    if (payment.resource !== undefined && payment.resource !== resource) {
+      throw new PaymentError('resource_mismatch', 'Payment resource does not match the requested resource');
+    }
+
+    return { route, token };
+  }
+
+  /**
+   * 构建发送给 Facilitator 的 v1 载荷（verify / settle 共用）
+   */
+  buildFacilitatorPayload(payment, resource, routeConfig) {
+    const { route, token: usedToken } = this.matchPayment(payment, resource, routeConfig);
+
+    const paymentData = payment.paymentPayload.payload;
+    const { payload, extra } = PERMIT_SCHEMES.includes(route.scheme)
+      ? this.buildPermitPayload(route, paymentData)
+      : this.buildExactPayload(route, paymentData);
+
+    // Facilitator 使用 v1 网络名，未注册的网络在发送前直接拒绝
+    const requirements = this.buildV1Requirements(route, resource, routeConfig);
+
+    // 向 Facilitator 发送 v1 格式（Facilitator 目前只支持 v1）
+    const facilitatorPayload = {
+      x402Version: 1,
+      paymentPayload: {
         x402Version: 1,
-        paymentPayload: {
-          x402Version: 1,
-          scheme: this.scheme,
-          network: `base-sepolia`, // Facilitator 需要原始网络名
-          payload: {
-            signature: signature,
-            authorization: {
-              from: authData.from,
-              to: this.payToAddress,
-              value: authData.value,
-              validAfter: authData.validAfter.toString(),
-              validBefore: authData.validBefore.toString(),
-              nonce: authData.nonce,
-              memo: memo
-            }
+        scheme: route.scheme,
+        network: requirements.network,
+        payload: payload
+      },
+      paymentRequirements: {
+        ...requirements,
+        extra: {
+          name: usedToken.domainName,
+          version: usedToken.domainVersion,
+          contractType: usedToken.contractType,
+          ...extra,
+          allowNegativeBalance: usedToken.contractType === 'DailyLedger' ? true : false
+        }
+      }
+    };
+
+    return { facilitatorPayload, usedToken };
+  }
+
+  /**
+   * 本地预检：时间窗口、金额与 EIP-712 签名者，失败时无需请求 Facilitator
+   * 校验的是即将发给 Facilitator 的载荷，与 Facilitator 的验证保持一致
+   * @throws {PaymentError}
+   */
+  verifyLocally(facilitatorPayload, usedToken) {
+    const { paymentPayload, paymentRequirements } = facilitatorPayload;
+    const authorization = this.getAuthorization(paymentPayload);
+
+    let value;
+    let validAfter;
+    let validBefore;
+    try {
+      value = BigInt(authorization.value);
+      validAfter = BigInt(authorization.validAfter);
+      validBefore = BigInt(authorization.validBefore);
+    } catch (error) {
+      throw new PaymentError('invalid_payment_structure', 'Authorization value and validity window must be integers');
+    }
+
+    if (value < BigInt(paymentRequirements.maxAmountRequired)) {
+      throw new PaymentError('insufficient_amount', `Authorized ${value} is less than required ${paymentRequirements.maxAmountRequired}`, {
+        required: paymentRequirements.maxAmountRequired
+      });
+    }
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (validAfter > now) {
+      throw new PaymentError('authorization_not_yet_valid', `Authorization is not valid until ${validAfter}`);
+    }
+    if (validBefore <= now) {
+      throw new PaymentError('authorization_expired', `Authorization expired at ${validBefore}`);
+    }
+
+    const typedData = this.buildTypedData(paymentPayload, paymentRequirements, usedToken.chainId);
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, paymentPayload.payload.signature);
+    } catch (error) {
+      throw new PaymentError('invalid_signature', `Malformed payment signature: ${error.shortMessage || error.message}`);
+    }
+
+    if (signer.toLowerCase() !== authorization.from.toLowerCase()) {
+      throw new PaymentError('invalid_signature', `Signature was produced by ${signer}, not ${authorization.from}`);
+    }
+
+    return signer;
+  }
+
+  /**
+   * 重建客户端签名的 EIP-712 数据
+   * exact 与 eip2612 使用 token 自身的域；permit2 使用 Permit2 合约的域
+   */
+  buildTypedData(paymentPayload, paymentRequirements, chainId) {
+    const { extra, asset } = paymentRequirements;
+    const payload = paymentPayload.payload;
+
+    if (PERMIT_SCHEMES.includes(paymentPayload.scheme)) {
+      const permit = payload.permit;
+      const { types } = PERMIT_TYPES[extra.permitType];
+
+      if (extra.permitType === 'permit2') {
+        return {
+          domain: { name: 'Permit2', chainId: chainId, verifyingContract: extra.permit2Address },
+          types: types,
+          message: {
+            permitted: { token: asset, amount: permit.value },
+            spender: permit.spender,
+            nonce: permit.nonce,
+            deadline: permit.deadline
           }
+        };
+      }
+
+      return {
+        domain: { name: extra.name, version: extra.version, chainId: chainId, verifyingContract: asset },
+        types: types,
+        message: permit
+      };
+    }
+
+    return {
+      domain: { name: extra.name, version: extra.version, chainId: chainId, verifyingContract: asset },
+      types: AUTHORIZATION_TYPES[extra.authorizationType].types,
+      message: payload.authorization
+    };
+  }
+
+  /**
+   * exact 方案：EIP-3009 签名 + 授权
+   * 授权类型决定签名结构，只有带 memo 的变体把 memo 放入授权
+   */
+  buildExactPayload(route, paymentData) {
+    const authData = paymentData.authorization;
+    const authorizationType = route.meta.authorizationType;
+    const schema = AUTHORIZATION_TYPES[authorizationType];
+
+    const authorization = {
+      from: authData.from,
+      to: authData.to,
+      value: authData.value,
+      validAfter: authData.validAfter.toString(),
+      validBefore: authData.validBefore.toString(),
+      nonce: authData.nonce
+    };
+    if (schema.memo) {
+      authorization.memo = route.meta.memo;
+    }
+
+    return {
+      payload: {
+        signature: paymentData.signature,
+        authorization: authorization
+      },
+      extra: {
+        authorizationType: authorizationType,
+        primaryType: schema.primaryType
+      }
+    };
+  }
+
+  /**
+   * permit 方案：permit 签名 + 转账目标
+   * Facilitator 以 spender 身份提交 permit，再把 value 转到 payTo
+   */
+  buildPermitPayload(route, paymentData) {
+    const permitType = route.meta.permitType;
+    const permit = paymentData.permit;
+
+    const extra = {
+      permitType: permitType,
+      primaryType: PERMIT_TYPES[permitType].primaryType,
+      spender: route.meta.spender
+    };
+    if (permitType === 'permit2') {
+      extra.permit2Address = route.meta.permit2Address;
+    }
+
+    return {
+      payload: {
+        permitType: permitType,
+        signature: paymentData.signature,
+        permit: {
+          owner: permit.owner,
+          spender: permit.spender,
+          value: permit.value.toString(),
+          nonce: permit.nonce.toString(),
+          deadline: permit.deadline.toString()
         },
-        paymentRequirements: {
-          scheme: this.scheme,
-          network: `base-sepolia`,
-          maxAmountRequired: authData.value,
-          resource: resource,
-          description: "payment",
-          mimeType: "application/json",
-          maxTimeoutSeconds: 60,
-          payTo: this.payToAddress,
-          asset: usedToken.address,
-          extra: {
-            name: usedToken.domainName,
-            version: usedToken.domainVersion,
-            contractType: usedToken.contractType,
-            allowNegativeBalance: usedToken.contractType === 'DailyLedger' ? true : false
-          }
-        }
+        to: paymentData.to
+      },
+      extra: extra
+    };
+  }
+
+  /**
+   * 验证支付签名 (v2)
+   * @param {Object} [options] - { onVerifiedLocally(token) }：本地预检通过后、消耗 nonce 前调用
+   */
+  async verifyPayment(payment, resource, routeConfig = this.resolveRouteConfig(), options = {}) {
+    try {
+      console.log('Received v2 payment');
+
+      const { facilitatorPayload, usedToken } = this.buildFacilitatorPayload(payment, resource, routeConfig);
+      const authorization = this.getAuthorization(payment.paymentPayload);
+
+      // 明显无效的支付（签名者不符、已过期、金额不足）在本地拒绝，不占用 nonce
+      this.verifyLocally(facilitatorPayload, usedToken);
+      if (options.onVerifiedLocally) {
+        options.onVerifiedLocally(usedToken);
+      }
+
+      const nonceKey = {
+        from: authorization.from,
+        nonce: authorization.nonce,
+        asset: facilitatorPayload.paymentRequirements.asset
       };
 
-      console.log('Verifying payment with facilitator:', this.facilitatorUrl);
+      // 验证前先标记授权为已消耗，结算异步进行期间同一授权无法重复解锁内容
+      const consumed = await this.nonceStore.consume(nonceKey, Number(authorization.validBefore) * 1000);
+      if (!consumed) {
+        throw new PaymentError('nonce_replayed', 'This payment authorization has already been used');
+      }
+
+      if (usedToken.verifyMode === 'local') {
+        // 可信私链：本地验证已足够，跳过 Facilitator 往返（不检查余额，结算仍由 Facilitator 完成）
+        console.log(`Verified payment locally (${usedToken.contractType})`);
+        return true;
+      }
 
-      const response = await axios.post(
-        `${this.facilitatorUrl}/verify`,
-        verifyPayload,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
+      try {
+        const response = await this.facilitators.execute(usedToken.chainId, (url) => {
+          console.log('Verifying payment with facilitator:', url);
+          return axios.post(
+            `${url}/verify`,
+            facilitatorPayload,
+            {
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              timeout: 10000
+            }
+          );
+        });
+
+        console.log('Verification response:', response.data);
+        if (response.data.isValid !== true && response.data.valid !== true) {
+          throw new PaymentError('facilitator_rejected', 'The payment signature is invalid or has been used', {
+            facilitatorReason: response.data.invalidReason
+          });
         }
-      );
+      } catch (error) {
+        // 验证未通过，撤销标记
+        await this.nonceStore.release(nonceKey);
+        throw error;
+      }
 
-      console.log('Verification response:', response.data);
-      return response.data.isValid === true || response.data.valid === true;
+      return true;
     } catch (error) {
+      if (error instanceof PaymentError) {
+        throw error;
+      }
       console.error('Verification request failed:', error.message);
       if (error.response) {
         console.error('Response data:', error.response.data);
@@ -248,71 +1288,30 @@ class X402Middleware {
 
   /**
    * 结算支付到链上 (v2)
+   * @param {Object} [options] - { timeout, amount, failoverOnTimeout }：amount 为 upto 支付的结算金额（最小单位）
    */
-  async settlePayment(payment, resource) {
+  async settlePayment(payment, resource, routeConfig = this.resolveRouteConfig(), options = {}) {
     try {
-      const paymentData = payment.paymentPayload?.payload || {};
-      const authData = paymentData.authorization || {};
-
-      const memo = payment.memo || authData.memo || resource;
-      const signature = paymentData.signature;
-
-      // 从客户端支付中提取使用的 token 信息
-      const usedToken = this.supportedTokens.find(t =>
-        payment.paymentPayload?.network?.includes(t.chainId.toString())
-      ) || this.supportedTokens[0];
+      const { facilitatorPayload, usedToken } = this.buildFacilitatorPayload(payment, resource, routeConfig);
+      if (options.amount !== undefined && options.amount !== null) {
+        // upto：只结算实际用量，不超过授权的最大金额
+        facilitatorPayload.settlementAmount = options.amount;
+      }
 
-      // 向 Facilitator 发送 v1 格式
-      const settlePayload = {
-        x402Version: 1,
-        paymentPayload: {
-          x402Version: 1,
-          scheme: this.scheme,
-          network: `base-sepolia`,
-          payload: {
-            signature: signature,
-            authorization: {
-              from: authData.from,
-              to: this.payToAddress,
-              value: authData.value,
-              validAfter: authData.validAfter.toString(),
-              validBefore: authData.validBefore.toString(),
-              nonce: authData.nonce,
-              memo: memo
-            }
-          }
-        },
-        paymentRequirements: {
-          scheme: this.scheme,
-          network: `base-sepolia`,
-          maxAmountRequired: authData.value,
-          resource: resource,
-          description: "payment",
-          mimeType: "application/json",
-          payTo: this.payToAddress,
-          maxTimeoutSeconds: 60,
-          asset: usedToken.address,
-          extra: {
-            name: usedToken.domainName,
-            version: usedToken.domainVersion,
-            contractType: usedToken.contractType,
-            allowNegativeBalance: usedToken.contractType === 'DailyLedger' ? true : false
+      // 转移到其他 Facilitator 不会重复扣款：同一授权 nonce 在链上只能使用一次
+      const response = await this.facilitators.execute(usedToken.chainId, (url) => {
+        console.log('Settling payment with facilitator:', url);
+        return axios.post(
+          `${url}/settle`,
+          facilitatorPayload,
+          {
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            timeout: options.timeout || 30000
           }
-        }
-      };
-
-      console.log('Settling payment with facilitator:', this.facilitatorUrl);
-
-      const response = await axios.post(
-        `${this.facilitatorUrl}/settle`,
-        settlePayload,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
+        );
+      }, { failoverOnTimeout: options.failoverOnTimeout });
 
       console.log('Settlement response:', response.data);
       const txHash = response.data.transactionHash || response.data.transaction;
@@ -321,7 +1320,10 @@ class X402Middleware {
         console.log(`View on explorer: ${usedToken.explorerUrl}/tx/${txHash}`);
       }
 
-      return response.data;
+      return {
+        ...response.data,
+        explorerUrl: txHash && usedToken.explorerUrl ? `${usedToken.explorerUrl}/tx/${txHash}` : undefined
+      };
     } catch (error) {
       console.error('Settlement request failed:', error.message);
       if (error.response) {
@@ -332,17 +1334,18 @@ class X402Middleware {
   }
 
   /**
-   * 查询 Facilitator 支持的能力
+   * 查询 Facilitator 支持的能力（默认查询 facilitatorUrl）
    */
-  async getSupportedSchemes() {
+  async getSupportedSchemes(facilitatorUrl = this.facilitatorUrl) {
     try {
-      const response = await axios.get(`${this.facilitatorUrl}/supported`);
+      const response = await axios.get(`${facilitatorUrl}/supported`, { timeout: 10000 });
       return response.data;
     } catch (error) {
-      console.error('Failed to get supported schemes:', error.message);
+      console.error(`Failed to get supported schemes from ${facilitatorUrl}:`, error.message);
       throw error;
     }
   }
 }
 
 module.exports = X402Middleware;
+module.exports.PaymentError = PaymentError;
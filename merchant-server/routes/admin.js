@@ -0,0 +1,80 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const FILTER_PARAMS = ['payer', 'token', 'network', 'asset', 'route', 'verification', 'settlementStatus', 'since', 'until'];
+
+/**
+ * 管理员 API：查询支付记录、收入汇总与 CSV 导出
+ * 需要请求头 X-Admin-Key 与 ADMIN_API_KEY 一致
+ */
+function createAdminRouter({ ledger, apiKey }) {
+  const router = express.Router();
+
+  // 管理员鉴权
+  router.use((req, res, next) => {
+    if (!apiKey) {
+      return res.status(503).json({
+        error: 'Admin API disabled',
+        message: 'Set ADMIN_API_KEY to enable admin routes'
+      });
+    }
+
+    const provided = Buffer.from(req.get('X-Admin-Key') || '');
+    const expected = Buffer.from(apiKey);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  });
+
+  const getFilters = (query) => {
+    const filters = {};
+    FILTER_PARAMS.forEach(param => {
+      if (query[param]) {
+        filters[param] = query[param];
+      }
+    });
+    return filters;
+  };
+
+  // 支付记录列表（支持过滤与分页）
+  router.get('/payments', (req, res) => {
+    const payments = ledger.list(getFilters(req.query));
+    const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+    const offset = parseInt(req.query.offset || '0');
+
+    res.json({
+      total: payments.length,
+      offset: offset,
+      limit: limit,
+      payments: payments.slice().reverse().slice(offset, offset + limit)
+    });
+  });
+
+  // CSV 导出（与列表相同的过滤条件）
+  router.get('/payments.csv', (req, res) => {
+    const payments = ledger.list(getFilters(req.query));
+    res.type('text/csv')
+      .attachment(`payments-${new Date().toISOString().slice(0, 10)}.csv`)
+      .send(ledger.toCSV(payments));
+  });
+
+  // 单条支付记录
+  router.get('/payments/:id', (req, res) => {
+    const payment = ledger.get(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json(payment);
+  });
+
+  // 按 token / 路由汇总收入
+  router.get('/revenue', (req, res) => {
+    res.json(ledger.getRevenue(getFilters(req.query)));
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,79 @@
+const express = require('express');
+
+// 账本结算状态 -> 对外状态（pending / settled / failed）
+const PUBLIC_STATUS = {
+  none: 'pending',
+  pending: 'pending',
+  retrying: 'pending',
+  settled: 'settled',
+  failed: 'failed',
+  dropped: 'failed'
+};
+
+/**
+ * 结算状态查询：客户端按 PAYMENT-ID 或 付款人 + nonce 轮询
+ */
+function createPaymentStatusRouter({ ledger }) {
+  const router = express.Router();
+
+  const toStatus = (entry) => {
+    const status = entry.verification === 'rejected'
+      ? 'failed'
+      : PUBLIC_STATUS[entry.settlementStatus] || 'pending';
+
+    const body = {
+      paymentId: entry.id,
+      status: status,
+      payer: entry.payer,
+      nonce: entry.nonce,
+      network: entry.network,
+      asset: entry.asset,
+      amount: entry.amount,
+      updatedAt: entry.updatedAt
+    };
+
+    // 计量支付：amount 为授权上限，charged 为按用量结算的金额
+    if (entry.chargedAmount !== undefined) {
+      body.charged = entry.chargedAmount;
+    }
+
+    if (status === 'settled') {
+      body.transaction = entry.transaction;
+      body.explorerUrl = entry.explorerUrl;
+      body.settledAt = entry.settledAt;
+    } else if (status === 'failed') {
+      body.reason = entry.verification === 'rejected'
+        ? entry.verificationReason
+        : entry.settlementError || entry.settlementStatus;
+    }
+
+    return body;
+  };
+
+  // 按付款人 + nonce 查询
+  router.get('/status', (req, res) => {
+    const { payer, nonce } = req.query;
+    if (!payer || !nonce) {
+      return res.status(400).json({ error: 'payer and nonce query parameters are required' });
+    }
+
+    const entry = ledger.findByNonce(payer, nonce);
+    if (!entry) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json(toStatus(entry));
+  });
+
+  // 按 PAYMENT-ID 查询
+  router.get('/:id/status', (req, res) => {
+    const entry = ledger.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json(toStatus(entry));
+  });
+
+  return router;
+}
+
+module.exports = createPaymentStatusRouter;
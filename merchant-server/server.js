@@ -1,13 +1,23 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const X402Middleware = require('./middleware/x402');
+const NetworkRegistry = require('./lib/network-registry');
+const { FileNonceStore } = require('./lib/nonce-store');
+const { FileSessionStore } = require('./lib/session-store');
+const PaymentLedger = require('./lib/payment-ledger');
+const createAdminRouter = require('./routes/admin');
+const createPaymentStatusRouter = require('./routes/payments');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // 中间件
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['PAYMENT-REQUIRED', 'PAYMENT-RESPONSE', 'PAYMENT-SETTLEMENT', 'PAYMENT-ID', 'X-PAYMENT-RESPONSE',
+    'PAYMENT-SESSION', 'PAYMENT-SESSION-REMAINING', 'PAYMENT-CHARGED']
+}));
 app.use(express.json());
 
 // 构建支持的 Token 列表
@@ -21,6 +31,9 @@ if (process.env.DAILYLEDGER_ADDRESS) {
     chainId: parseInt(process.env.DAILYLEDGER_CHAIN_ID || '1337'),
     domainName: 'DailyLedger',
     domainVersion: '1',
+    authorizationType: 'transferWithMemo',
+    // local: 可信私链只做本地签名验证，跳过 Facilitator /verify
+    verifyMode: process.env.DAILYLEDGER_VERIFY_MODE || 'facilitator',
     explorerUrl: process.env.DAILYLEDGER_EXPLORER_URL || 'http://220.154.132.194:3001',
     description: 'Pay with DailyLedger (Private Chain)',
     amount: null // 使用默认价格
@@ -35,12 +48,32 @@ if (process.env.USDC_ADDRESS) {
     chainId: parseInt(process.env.USDC_CHAIN_ID || '84532'),
     domainName: 'USD Coin',
     domainVersion: '2',
+    // 标准 EIP-3009：transfer（TransferWithAuthorization）或 receive（ReceiveWithAuthorization）
+    authorizationType: process.env.USDC_AUTHORIZATION_TYPE || 'transfer',
     explorerUrl: process.env.USDC_EXPLORER_URL || 'https://sepolia.basescan.org',
     description: 'Pay with USDC (Base Sepolia)',
     amount: null // 使用默认价格
   });
 }
 
+// Permit Token（不支持 EIP-3009 的 ERC-20，使用 EIP-2612 permit 或 Permit2）
+if (process.env.PERMIT_TOKEN_ADDRESS) {
+  supportedTokens.push({
+    scheme: 'permit',
+    contractType: process.env.PERMIT_TOKEN_SYMBOL || 'PermitToken',
+    address: process.env.PERMIT_TOKEN_ADDRESS,
+    chainId: parseInt(process.env.PERMIT_TOKEN_CHAIN_ID || '84532'),
+    domainName: process.env.PERMIT_TOKEN_DOMAIN_NAME,
+    domainVersion: process.env.PERMIT_TOKEN_DOMAIN_VERSION || '1',
+    permitType: process.env.PERMIT_TOKEN_TYPE || 'eip2612',
+    // Facilitator 提交 permit 与转账的地址
+    spender: process.env.PERMIT_SPENDER_ADDRESS,
+    explorerUrl: process.env.PERMIT_TOKEN_EXPLORER_URL || 'https://sepolia.basescan.org',
+    description: `Pay with ${process.env.PERMIT_TOKEN_SYMBOL || 'PermitToken'} (permit)`,
+    amount: null // 使用默认价格
+  });
+}
+
 // 验证至少配置了一个 Token
 if (supportedTokens.length === 0) {
   console.error('❌ Error: No tokens configured. Please set at least one token ADDRESS in .env');
@@ -52,7 +85,54 @@ const x402Config = {
   facilitatorUrl: process.env.FACILITATOR_URL || 'http://localhost:8080',
   payToAddress: process.env.PAY_TO_ADDRESS,
   pricePerRequest: parseFloat(process.env.PRICE_PER_REQUEST || '0.01'),
-  supportedTokens: supportedTokens
+  supportedTokens: supportedTokens,
+  settlementMode: process.env.SETTLEMENT_MODE || 'async',
+  settlementTimeoutMs: parseInt(process.env.SETTLEMENT_TIMEOUT_MS || '30000'),
+  ledger: new PaymentLedger(
+    process.env.PAYMENT_LEDGER_FILE || path.join(__dirname, 'data', 'payments.json')
+  ),
+  nonceStore: new FileNonceStore(
+    process.env.NONCE_STORE_FILE || path.join(__dirname, 'data', 'nonces.json')
+  ),
+  // Facilitator 熔断：连续失败次数、熔断冷却时间、/supported 健康检查间隔
+  facilitatorFailover: {
+    failureThreshold: parseInt(process.env.FACILITATOR_FAILURE_THRESHOLD || '3'),
+    resetTimeoutMs: parseInt(process.env.FACILITATOR_RESET_TIMEOUT_MS || '30000'),
+    healthCheckIntervalMs: parseInt(process.env.FACILITATOR_HEALTH_CHECK_INTERVAL_MS || '30000')
+  },
+  // 预付会话令牌：未设置 SESSION_SECRET 时每次启动随机生成，重启后已发出的令牌失效
+  sessions: {
+    secret: process.env.SESSION_SECRET,
+    store: new FileSessionStore(
+      process.env.SESSION_STORE_FILE || path.join(__dirname, 'data', 'sessions.json')
+    )
+  },
+  settlementQueue: {
+    filePath: process.env.SETTLEMENT_QUEUE_FILE || path.join(__dirname, 'data', 'settlement-queue.json'),
+    maxAttempts: parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS || '6')
+  }
+};
+
+// 网络注册表：CAIP-2 -> Facilitator 网络名
+// 配置文件中的 facilitators（各自列出支持的网络）优先，未配置时只使用 FACILITATOR_URL
+x402Config.networkRegistry = NetworkRegistry.fromFile(
+  process.env.NETWORKS_CONFIG || undefined,
+  [{ url: x402Config.facilitatorUrl }]
+);
+
+// 聊天端点单独定价（计量计费时为单次最大金额）
+const chatPrice = parseFloat(process.env.CHAT_PRICE_PER_REQUEST || x402Config.pricePerRequest);
+// 按回复长度计费：每字符价格，默认 1000 字符达到单次最大金额
+const chatPricePerChar = parseFloat(process.env.CHAT_PRICE_PER_CHARACTER || chatPrice / 1000);
+
+// 聊天预付会话：一次支付换取 N 次调用或 T 秒内的访问，默认价格为 N 次单价之和
+const chatSessionCalls = parseInt(process.env.CHAT_SESSION_CALLS || '20');
+const chatSession = {
+  scope: 'chat',
+  path: '/api/chat/session',
+  price: parseFloat(process.env.CHAT_SESSION_PRICE || (chatPrice * chatSessionCalls).toFixed(6)),
+  calls: chatSessionCalls,
+  ttlSeconds: parseInt(process.env.CHAT_SESSION_TTL_SECONDS || '1800')
 };
 
 // 验证必需的配置
@@ -72,7 +152,10 @@ app.get('/', (req, res) => {
       '/': 'This endpoint (no payment required)',
       '/health': 'Health check',
       '/api/protected': 'Protected endpoint (requires payment)',
-      '/api/chat': 'Protected chat endpoint (requires payment)'
+      '/api/chat': 'Protected chat endpoint (requires payment or a prepaid session)',
+      '/api/chat/session': 'Buy a prepaid chat session (PAYMENT-SESSION token)',
+      '/payments/:id/status': 'Settlement status by PAYMENT-ID (also /payments/status?payer=&nonce=)',
+      '/admin/*': 'Payment ledger and revenue (requires X-Admin-Key)'
     },
     paymentOptions: supportedTokens.map(t => ({
       token: t.contractType,
@@ -83,28 +166,43 @@ app.get('/', (req, res) => {
 });
 
 // 健康检查 - 不需要付费
-app.get('/health', async (req, res) => {
-  try {
-    const supported = await x402.getSupportedSchemes();
-    res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      facilitator: {
-        url: x402Config.facilitatorUrl,
-        available: true,
-        supported: supported
-      },
-      tokens: supportedTokens.length
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: 'unhealthy',
-      timestamp: new Date().toISOString(),
-      error: error.message
-    });
+// 每个 token 的网络至少有一个可用 Facilitator 即为健康；部分 Facilitator 熔断时为 degraded
+app.get('/health', (req, res) => {
+  const facilitators = x402.facilitators.getStatus();
+  const unavailableNetworks = [...new Set(supportedTokens.map(t => `eip155:${t.chainId}`))]
+    .filter(network => x402.facilitators.getCandidates(network).length === 0);
+
+  let status = 'healthy';
+  if (unavailableNetworks.length > 0) {
+    status = 'unhealthy';
+  } else if (facilitators.some(f => !f.available)) {
+    status = 'degraded';
   }
+
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status: status,
+    timestamp: new Date().toISOString(),
+    facilitators: facilitators,
+    unavailableNetworks: unavailableNetworks,
+    settlementQueue: x402.settlementQueue.getStats(),
+    tokens: supportedTokens.length
+  });
 });
 
+// 结算状态查询 - 不需要付费
+app.use('/payments', createPaymentStatusRouter({ ledger: x402Config.ledger }));
+
+// 管理员 API - 支付记录与收入（未设置 ADMIN_API_KEY 或仍为示例值时不挂载）
+const adminApiKey = process.env.ADMIN_API_KEY;
+if (adminApiKey && adminApiKey !== 'change-me') {
+  app.use('/admin', createAdminRouter({
+    ledger: x402Config.ledger,
+    apiKey: adminApiKey
+  }));
+} else {
+  console.warn('⚠️  ADMIN_API_KEY is not set or is the example value, /admin routes are disabled');
+}
+
 // 受保护的端点 - 需要付费
 app.get('/api/protected', x402.middleware(), (req, res) => {
   res.json({
@@ -119,15 +217,34 @@ app.get('/api/protected', x402.middleware(), (req, res) => {
   });
 });
 
-// 受保护的聊天端点 - 模拟 AI 对话
-app.post('/api/chat', x402.middleware(), (req, res) => {
+// 购买聊天预付会话 - 返回 PAYMENT-SESSION 令牌
+app.post(chatSession.path, x402.sessionRoute(chatSession));
+
+// 受保护的聊天端点 - 模拟 AI 对话（按次支付，或携带预付会话令牌）
+// 计量计费：permit token 以 upto 授权最大金额，按回复长度结算；EIP-3009 token 按最大金额收费
+app.post('/api/chat', x402.middleware({
+  price: chatPrice,
+  description: 'Pay per AI chat response (metered by response length)',
+  timeoutSeconds: 300,
+  settlement: 'on-success',
+  session: chatSession,
+  metered: true
+}), (req, res) => {
   const { message } = req.body;
+  const aiResponse = `This is a paid AI response. You asked: "${message || 'Hello'}". Thank you for your payment!`;
+
+  // 报告用量（使用预付会话时没有 req.x402）
+  const cost = aiResponse.length * chatPricePerChar;
+  if (req.x402) {
+    req.x402.charge(cost);
+  }
 
   res.json({
     message: 'Chat response',
     data: {
       userMessage: message || 'Hello',
-      aiResponse: `This is a paid AI response. You asked: "${message || 'Hello'}". Thank you for your payment!`,
+      aiResponse: aiResponse,
+      usage: { characters: aiResponse.length, cost: cost },
       timestamp: new Date().toISOString()
     }
   });
@@ -137,13 +254,16 @@ app.post('/api/chat', x402.middleware(), (req, res) => {
 app.listen(PORT, () => {
   console.log('\n🚀 x402 Merchant Server Started (v2)\n');
   console.log(`📡 Server: http://localhost:${PORT}`);
-  console.log(`💰 Price: ${x402Config.pricePerRequest} per request`);
+  console.log(`💰 Price: ${x402Config.pricePerRequest} per request (chat: ${chatPrice})`);
+  console.log(`🎟️  Chat session: ${chatSession.price} for ${chatSession.calls} calls / ${chatSession.ttlSeconds}s`);
   console.log(`📮 Pay to: ${x402Config.payToAddress}`);
-  console.log(`🔧 Facilitator: ${x402Config.facilitatorUrl}`);
+  x402Config.networkRegistry.describeFacilitators().forEach(facilitator => {
+    console.log(`🔧 Facilitator: ${facilitator.url} (${facilitator.networks.join(', ')})`);
+  });
   console.log(`\n💳 Supported Payment Options (${supportedTokens.length}):`);
   supportedTokens.forEach((token, i) => {
     console.log(`   ${i + 1}. ${token.description}`);
-    console.log(`      Network: eip155:${token.chainId}`);
+    console.log(`      Network: eip155:${token.chainId} (facilitator: ${x402Config.networkRegistry.toFacilitatorNetwork(token.chainId)})`);
     console.log(`      Contract: ${token.address}`);
   });
   console.log('\n✅ Ready to accept payments!\n');
@@ -154,8 +274,12 @@ app.listen(PORT, () => {
   console.log(`  - http://localhost:${PORT}/api/chat (requires payment)\n`);
 });
 
-// 优雅关闭
-process.on('SIGINT', () => {
+// 优雅关闭：等待进行中的结算，未完成的保留在队列文件中
+async function shutdown() {
   console.log('\n\n👋 Shutting down gracefully...');
+  await x402.shutdown();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);